@@ -0,0 +1,159 @@
+// Log de auditoria em JSON Lines (um evento por linha, só acrescenta).
+// O arquivo atual é rotacionado ao passar de AUDIT_LOG_MAX_BYTES e apenas
+// os AUDIT_LOG_MAX_FILES arquivos mais recentes são mantidos.
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline');
+
+const AUDIT_LOG_MAX_BYTES = parseInt(process.env.AUDIT_LOG_MAX_BYTES, 10) || 10 * 1024 * 1024;
+const AUDIT_LOG_MAX_FILES = parseInt(process.env.AUDIT_LOG_MAX_FILES, 10) || 10;
+const MAX_QUERY_LIMIT = 1000;
+
+class AuditLog {
+    constructor({ file }) {
+        this.file = file;
+        this.dir = path.dirname(file);
+        this.base = path.basename(file, '.jsonl');
+        this.size = null;
+        this.writing = Promise.resolve();
+    }
+
+    async init() {
+        await fs.ensureDir(this.dir);
+        this.size = (await fs.pathExists(this.file)) ? (await fs.stat(this.file)).size : 0;
+    }
+
+    // Arquivos rotacionados do mais novo para o mais antigo
+    async rotatedFiles() {
+        const names = await fs.readdir(this.dir);
+        return names
+            .filter(name => name.startsWith(`${this.base}-`) && name.endsWith('.jsonl'))
+            .sort()
+            .reverse()
+            .map(name => path.join(this.dir, name));
+    }
+
+    async rotate() {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        await fs.rename(this.file, path.join(this.dir, `${this.base}-${stamp}.jsonl`));
+        this.size = 0;
+
+        const old = (await this.rotatedFiles()).slice(AUDIT_LOG_MAX_FILES);
+        await Promise.all(old.map(file => fs.remove(file)));
+    }
+
+    // Grava um evento; as escritas são enfileiradas para manter a ordem
+    record(event) {
+        const line = JSON.stringify({ ts: new Date().toISOString(), ...event }) + '\n';
+
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            if (this.size === null) await this.init();
+            if (this.size + line.length > AUDIT_LOG_MAX_BYTES && this.size > 0) {
+                await this.rotate();
+            }
+            await fs.appendFile(this.file, line);
+            this.size += Buffer.byteLength(line);
+        });
+
+        return this.writing;
+    }
+
+    // Busca eventos (mais recentes primeiro) por key, ip, tipo e intervalo de tempo
+    async query({ key, ip, type, from, to, limit = 100 } = {}) {
+        await this.writing.catch(() => {});
+        const max = Math.min(MAX_QUERY_LIMIT, Math.max(1, limit));
+        const files = [this.file, ...(await this.rotatedFiles())];
+        const results = [];
+
+        for (const file of files) {
+            if (!(await fs.pathExists(file))) continue;
+
+            const matches = [];
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+            for await (const line of lines) {
+                if (!line) continue;
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (_) {
+                    continue;
+                }
+
+                const time = Date.parse(event.ts);
+                if (key && event.key !== key) continue;
+                if (ip && event.ip !== ip) continue;
+                if (type && event.type !== type) continue;
+                if (from && time < from) continue;
+                if (to && time > to) continue;
+                matches.push(event);
+            }
+
+            // Dentro de cada arquivo os eventos estão em ordem cronológica
+            results.push(...matches.reverse());
+            if (results.length >= max) break;
+        }
+
+        return results.slice(0, max);
+    }
+
+    async flush() {
+        await this.writing.catch(() => {});
+    }
+}
+
+// Resultado do evento a partir da resposta JSON da rota
+function describeOutcome(statusCode, body = {}) {
+    if (typeof body.valid === 'boolean') {
+        return { outcome: body.valid ? 'valid' : 'invalid', reason: body.valid ? undefined : body.message };
+    }
+    const ok = body.success !== false && statusCode < 400;
+    return { outcome: ok ? 'success' : 'failure', reason: ok ? undefined : body.error };
+}
+
+// Só texto e número entram no evento (o corpo da requisição vem do cliente)
+function isScalar(value) {
+    return (typeof value === 'string' && value !== '') || (typeof value === 'number' && Number.isFinite(value));
+}
+
+// Middleware: registra um evento quando a resposta terminar de ser enviada,
+// inclusive as que não são JSON (exportação de keys, loader Lua).
+// extract(req, body) devolve campos específicos do evento (ex.: key);
+// body é o objeto passado a res.json, ou {} nas demais respostas.
+function auditRoute(audit, type, extract = () => ({})) {
+    return (req, res, next) => {
+        const json = res.json.bind(res);
+        let body;
+
+        res.json = (value) => {
+            body = value;
+            return json(value);
+        };
+
+        // Um erro aqui não pode derrubar o processo: o evento é só descartado
+        res.on('finish', () => {
+            try {
+                const identity = {};
+                if (isScalar(req.body?.userId)) identity.userId = String(req.body.userId);
+                if (isScalar(req.body?.hwid)) identity.hwid = String(req.body.hwid);
+
+                audit.record({
+                    type,
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent') || null,
+                    actor: req.apiKey ? req.apiKey.name : undefined,
+                    identity: Object.keys(identity).length ? identity : undefined,
+                    status: res.statusCode,
+                    ...describeOutcome(res.statusCode, body || {}),
+                    ...extract(req, body || {})
+                }).catch(error => console.error('Erro ao gravar auditoria:', error.message));
+            } catch (error) {
+                console.error('Erro ao montar evento de auditoria:', error.message);
+            }
+        });
+
+        next();
+    };
+}
+
+module.exports = { AuditLog, auditRoute };
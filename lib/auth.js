@@ -0,0 +1,122 @@
+// Autenticação por API keys do servidor (Authorization: Bearer <token>).
+// Cada API key tem nome, escopos (generate, validate, admin) e pode ser revogada.
+// O ADMIN_TOKEN do .env funciona como credencial raiz com todos os escopos.
+const crypto = require('crypto');
+
+const API_SCOPES = ['generate', 'validate', 'admin'];
+const TOKEN_PREFIX = 'ks_';
+// Evita gravar lastUsedAt a cada requisição
+const LAST_USED_RESOLUTION = 5 * 60 * 1000;
+
+// Comparação em tempo constante (hash antes para igualar o tamanho)
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (!token || scheme.toLowerCase() !== 'bearer') return null;
+    return token.trim();
+}
+
+// O escopo admin inclui todos os outros
+function hasScope(scopes, scope) {
+    return scopes.includes(scope) || scopes.includes('admin');
+}
+
+// Cria uma API key; o token em texto puro só é devolvido aqui
+async function createApiKey(store, { name, scopes }) {
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const apiKey = {
+        id: crypto.randomBytes(8).toString('hex'),
+        name,
+        scopes,
+        tokenHash: hashToken(token),
+        prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+        createdAt: Date.now(),
+        lastUsedAt: null,
+        revoked: false
+    };
+
+    await store.insert(apiKey);
+    return { apiKey, token };
+}
+
+// Resolve o token do header para { id, name, scopes } ou null
+async function authenticate(services, token) {
+    const adminToken = process.env.ADMIN_TOKEN;
+    if (adminToken && safeEqual(token, adminToken)) {
+        return { id: 'root', name: 'ADMIN_TOKEN', scopes: [...API_SCOPES] };
+    }
+
+    if (!token.startsWith(TOKEN_PREFIX)) return null;
+
+    const [apiKey] = await services.apiKeys.find({ tokenHash: hashToken(token) });
+    if (!apiKey || apiKey.revoked) return null;
+
+    const now = Date.now();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION) {
+        await services.apiKeys.update(apiKey.id, { lastUsedAt: now });
+    }
+
+    return { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes };
+}
+
+// Middleware que exige uma API key válida com o escopo informado
+function requireScope(services, scope) {
+    return async (req, res, next) => {
+        try {
+            const token = getBearerToken(req);
+
+            if (!token) {
+                return res.status(401).json({ 
+                    success: false,
+                    error: "Token de autenticação ausente" 
+                });
+            }
+
+            const caller = await authenticate(services, token);
+
+            if (!caller) {
+                return res.status(403).json({ 
+                    success: false,
+                    error: "Token inválido" 
+                });
+            }
+
+            if (!hasScope(caller.scopes, scope)) {
+                return res.status(403).json({ 
+                    success: false,
+                    error: `Permissão insuficiente (escopo necessário: ${scope})` 
+                });
+            }
+
+            req.apiKey = caller;
+            next();
+        } catch (error) {
+            console.error('Erro ao autenticar:', error.message);
+            res.status(500).json({ 
+                success: false,
+                error: "Erro interno do servidor" 
+            });
+        }
+    };
+}
+
+module.exports = {
+    API_SCOPES,
+    safeEqual,
+    hashToken,
+    getBearerToken,
+    hasScope,
+    createApiKey,
+    authenticate,
+    requireScope
+};
@@ -0,0 +1,167 @@
+// Blacklist de userIds do Roblox, HWIDs, IPs/faixas CIDR e keys.
+// As entradas ficam na coleção blacklist e num índice em memória, então a
+// checagem em /gerar e /validar não consulta o armazenamento a cada requisição.
+const crypto = require('crypto');
+const net = require('net');
+const { toKeyId } = require('./keyHash');
+
+const BLACKLIST_TYPES = ['userId', 'hwid', 'ip', 'key'];
+// Código HTTP exclusivo de bloqueio, distinto dos 403 de key revogada/vinculada
+const BLACKLIST_STATUS = 451;
+
+// "1.2.3.4", "1.2.3.0/24" ou "2001:db8::/32" -> BlockList; null se inválido
+function parseIpRule(value) {
+    const [address, prefixText, extra] = String(value).trim().split('/');
+    const family = net.isIP(address);
+    if (!family || extra !== undefined) return null;
+
+    const maxPrefix = family === 4 ? 32 : 128;
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (!/^\d{1,3}$/.test(String(prefix)) || prefix > maxPrefix) return null;
+
+    const rule = new net.BlockList();
+    rule.addSubnet(address, prefix, family === 4 ? 'ipv4' : 'ipv6');
+    return rule;
+}
+
+// Normaliza o valor conforme o tipo; retorna null se for inválido
+function normalizeValue(type, value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const text = String(value).trim();
+    if (!text || text.length > 256) return null;
+
+    if (type === 'userId') return /^\d{1,20}$/.test(text) ? text : null;
+    if (type === 'ip') return parseIpRule(text) ? text.toLowerCase() : null;
+    // Keys são guardadas pelo mesmo id do armazenamento (hash, se ativo)
+    if (type === 'key') return toKeyId(text);
+    return text;
+}
+
+function isActive(entry, now = Date.now()) {
+    return entry.expiresAt === null || entry.expiresAt === undefined || entry.expiresAt > now;
+}
+
+class Blacklist {
+    constructor() {
+        this.collection = null;
+        this.entries = new Map();
+        this.ipRules = new Map();
+    }
+
+    async init(collection) {
+        this.collection = collection;
+        for (const entry of await collection.all()) {
+            this.index(entry);
+        }
+    }
+
+    index(entry) {
+        this.entries.set(entry.id, entry);
+        if (entry.type === 'ip') {
+            const rule = parseIpRule(entry.value);
+            if (rule) this.ipRules.set(entry.id, rule);
+        }
+    }
+
+    unindex(id) {
+        this.entries.delete(id);
+        this.ipRules.delete(id);
+    }
+
+    list() {
+        return [...this.entries.values()];
+    }
+
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    findByValue(type, value) {
+        return this.list().find(entry => entry.type === type && entry.value === value) || null;
+    }
+
+    // label: texto legível quando value é um hash (entradas de key)
+    async add({ type, value, label, reason, expiresAt, createdBy }) {
+        const entry = {
+            id: crypto.randomBytes(8).toString('hex'),
+            type,
+            value,
+            label: label || undefined,
+            reason: reason || null,
+            createdAt: Date.now(),
+            expiresAt: expiresAt || null,
+            createdBy: createdBy || null
+        };
+        await this.collection.insert(entry);
+        this.index(entry);
+        return entry;
+    }
+
+    async update(id, changes) {
+        const updated = await this.collection.update(id, changes);
+        if (updated) this.index(updated);
+        return updated;
+    }
+
+    async remove(id) {
+        const removed = await this.collection.remove(id);
+        this.unindex(id);
+        return removed;
+    }
+
+    // Primeira entrada ativa que bloqueia algum dos campos ({ userId, hwid, ip, key })
+    check(subject, now = Date.now()) {
+        for (const entry of this.entries.values()) {
+            if (!isActive(entry, now)) continue;
+
+            if (entry.type === 'ip') {
+                const rule = this.ipRules.get(entry.id);
+                const family = subject.ip && net.isIP(subject.ip);
+                if (rule && family && rule.check(subject.ip, family === 4 ? 'ipv4' : 'ipv6')) return entry;
+            } else if (subject[entry.type] !== undefined && subject[entry.type] === entry.value) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Remove entradas vencidas (chamado junto da limpeza periódica)
+    async prune(now = Date.now()) {
+        const expired = this.list().filter(entry => !isActive(entry, now)).map(entry => entry.id);
+        if (expired.length === 0) return 0;
+        await this.collection.removeMany(expired);
+        expired.forEach(id => this.unindex(id));
+        return expired.length;
+    }
+}
+
+// Middleware: recusa com BLACKLIST_STATUS se o IP ou subject(req) bater com a blacklist.
+// format 'validar' usa o formato de resposta do /validar ({ valid, message }).
+function blacklistGuard(blacklist, { subject = () => ({}), format, onBlocked } = {}) {
+    return (req, res, next) => {
+        const entry = blacklist.check({ ip: req.ip, ...subject(req) });
+        if (!entry) return next();
+
+        console.log(`Bloqueado pela blacklist (${entry.type} ${entry.label || entry.value}): ${req.method} ${req.path}`);
+        if (onBlocked) onBlocked(req, entry);
+
+        const message = 'Acesso bloqueado';
+        const details = {
+            blacklisted: true,
+            reason: entry.reason,
+            expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null
+        };
+        return res.status(BLACKLIST_STATUS).json(format === 'validar'
+            ? { valid: false, message, ...details }
+            : { success: false, error: message, ...details });
+    };
+}
+
+module.exports = {
+    BLACKLIST_TYPES,
+    BLACKLIST_STATUS,
+    Blacklist,
+    blacklistGuard,
+    normalizeValue,
+    isActive
+};
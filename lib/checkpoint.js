@@ -0,0 +1,145 @@
+// Fluxo de checkpoints: o jogador passa por N links encurtados em sequência
+// e cada link volta para /checkpoint/callback com um token assinado (HMAC)
+// e de uso único. A key só é criada depois do último checkpoint.
+// A sessão fica presa ao IP que a iniciou (CHECKPOINT_BIND_IP=false desliga).
+const crypto = require('crypto');
+
+const CHECKPOINT_STEPS = Math.max(1, parseInt(process.env.CHECKPOINT_STEPS, 10) || 2);
+const CHECKPOINT_SESSION_MINUTES = parseFloat(process.env.CHECKPOINT_SESSION_MINUTES) || 30;
+// Tempo mínimo entre receber o link e voltar no callback (dificulta pular o anúncio)
+const CHECKPOINT_MIN_SECONDS = parseFloat(process.env.CHECKPOINT_MIN_SECONDS ?? 10);
+const CHECKPOINT_BIND_IP = process.env.CHECKPOINT_BIND_IP !== 'false';
+
+let CHECKPOINT_SECRET = process.env.CHECKPOINT_SECRET;
+if (!CHECKPOINT_SECRET) {
+    CHECKPOINT_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('AVISO: CHECKPOINT_SECRET não definido; links de checkpoint deixam de valer ao reiniciar');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', CHECKPOINT_SECRET).update(data).digest('base64url');
+}
+
+// A key gerada fica cifrada na sessão (AES-256-GCM) para a página final poder
+// ser recarregada sem gravar a key em texto puro no armazenamento
+const sealingKey = () => crypto.createHash('sha256').update(`key:${CHECKPOINT_SECRET}`).digest();
+
+function sealGeneratedKey(plainKey) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', sealingKey(), iv);
+    const data = Buffer.concat([cipher.update(plainKey, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+}
+
+function openGeneratedKey(sealed) {
+    try {
+        const [iv, tag, data] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', sealingKey(), iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+    } catch (_) {
+        return null;
+    }
+}
+
+// Token = payload base64url + "." + assinatura
+function signToken(payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(data)}`;
+}
+
+// Retorna o payload se a assinatura conferir e o token não tiver expirado
+function verifyToken(token, now = Date.now()) {
+    if (typeof token !== 'string') return null;
+
+    const [data, signature] = token.split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(sign(data));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString());
+        if (!payload.exp || now > payload.exp) return null;
+        return payload;
+    } catch (_) {
+        return null;
+    }
+}
+
+function createSession({ ip, project, totalSteps = CHECKPOINT_STEPS }, now = Date.now()) {
+    return {
+        id: crypto.randomBytes(16).toString('hex'),
+        ip,
+        project,
+        totalSteps,
+        completedSteps: 0,
+        pending: null,
+        key: null,
+        createdAt: now,
+        expiresAt: now + CHECKPOINT_SESSION_MINUTES * 60 * 1000,
+        completedAt: null
+    };
+}
+
+// Gera o token do próximo checkpoint; o nonce fica gravado na sessão
+function issueStep(session, now = Date.now()) {
+    const step = session.completedSteps + 1;
+    const nonce = crypto.randomBytes(12).toString('hex');
+    const token = signToken({ s: session.id, i: step, n: nonce, exp: session.expiresAt });
+
+    return { token, pending: { step, nonce, issuedAt: now, shortLink: null } };
+}
+
+function sameOrigin(session, ip) {
+    return !CHECKPOINT_BIND_IP || !session.ip || session.ip === ip;
+}
+
+// Confere o callback contra a sessão; retorna { error } ou { changes } para consumir o token
+function consumeStep(session, payload, { ip, now = Date.now() } = {}) {
+    if (now > session.expiresAt) return { error: 'Sessão expirada, comece novamente' };
+    if (session.completedAt) return { error: 'Checkpoints já concluídos' };
+    if (!sameOrigin(session, ip)) {
+        return { error: 'Conclua os checkpoints na mesma rede em que começou' };
+    }
+
+    const pending = session.pending;
+    if (!pending || pending.nonce !== payload.n || pending.step !== payload.i) {
+        return { error: 'Link de checkpoint inválido ou já utilizado' };
+    }
+
+    if (now - pending.issuedAt < CHECKPOINT_MIN_SECONDS * 1000) {
+        return { error: 'Checkpoint concluído rápido demais, tente novamente' };
+    }
+
+    return {
+        changes: {
+            completedSteps: session.completedSteps + 1,
+            pending: null,
+            lastNonce: pending.nonce
+        }
+    };
+}
+
+// Key da sessão concluída quando o link do último checkpoint é aberto de novo
+// (recarregar a página); null se não for esse link, de outro IP ou já expirada
+function revealKey(session, payload, { ip, now = Date.now() } = {}) {
+    if (!session.completedAt || !session.sealedKey || now > session.expiresAt) return null;
+    if (payload.i !== session.totalSteps || payload.n !== session.lastNonce) return null;
+    if (!sameOrigin(session, ip)) return null;
+    return openGeneratedKey(session.sealedKey);
+}
+
+module.exports = {
+    CHECKPOINT_STEPS,
+    signToken,
+    verifyToken,
+    createSession,
+    issueStep,
+    consumeStep,
+    sealGeneratedKey,
+    revealKey
+};
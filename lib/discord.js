@@ -0,0 +1,183 @@
+// Integração com o Discord via HTTP interactions (slash commands).
+// O Discord assina cada interação com Ed25519 (X-Signature-Ed25519 sobre
+// timestamp + corpo bruto); sem DISCORD_PUBLIC_KEY o endpoint fica desligado.
+const crypto = require('crypto');
+const axios = require('axios');
+const { KEY_TYPES } = require('./keys');
+
+const DISCORD_API = 'https://discord.com/api/v10';
+const DISCORD_PUBLIC_KEY = process.env.DISCORD_PUBLIC_KEY;
+const DISCORD_APPLICATION_ID = process.env.DISCORD_APPLICATION_ID;
+const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN;
+// Cargos que liberam os comandos de staff (além de quem tem Administrador no servidor)
+const DISCORD_STAFF_ROLE_IDS = (process.env.DISCORD_STAFF_ROLE_IDS || '')
+    .split(',').map(id => id.trim()).filter(Boolean);
+// Projeto usado quando o comando não informa project
+const DISCORD_PROJECT = process.env.DISCORD_PROJECT || 'default';
+// Idade máxima do X-Signature-Timestamp (interações capturadas não podem ser reenviadas depois)
+const DISCORD_MAX_TIMESTAMP_AGE_SECONDS = parseInt(process.env.DISCORD_MAX_TIMESTAMP_AGE_SECONDS, 10) || 300;
+
+const INTERACTION_TYPES = { PING: 1, APPLICATION_COMMAND: 2 };
+const RESPONSE_TYPES = { PONG: 1, MESSAGE: 4, DEFERRED_MESSAGE: 5 };
+const EPHEMERAL = 1 << 6;
+const ADMINISTRATOR = 1n << 3n;
+
+// Tipos de opção do Discord: 3 = string, 4 = inteiro, 10 = número
+const projectOption = { type: 3, name: 'project', description: 'Projeto (padrão do servidor se omitido)' };
+const keyOption = { type: 3, name: 'key', description: 'A key', required: true };
+
+// Comandos registrados em POST /admin/discord/commands; staff indica os restritos
+const DISCORD_COMMANDS = [
+    {
+        name: 'getkey',
+        description: 'Receba o link para obter uma key',
+        options: [projectOption]
+    },
+    {
+        name: 'redeem',
+        description: 'Vincule uma key à sua conta do Discord',
+        options: [keyOption, projectOption]
+    },
+    {
+        name: 'resethwid',
+        description: 'Libera a key para ser usada em outro dispositivo',
+        options: [keyOption, projectOption]
+    },
+    {
+        name: 'genkey',
+        description: '[Staff] Gera uma key como o /gerar',
+        staff: true,
+        options: [
+            { type: 3, name: 'link', description: 'Link de destino', required: true },
+            { type: 3, name: 'type', description: 'Tipo da key', choices: KEY_TYPES.map(t => ({ name: t, value: t })) },
+            { type: 10, name: 'duration_hours', description: 'Duração em horas' },
+            { type: 4, name: 'max_identities', description: 'Máximo de identidades' },
+            projectOption
+        ]
+    },
+    {
+        name: 'lookup',
+        description: '[Staff] Mostra os detalhes de uma key',
+        staff: true,
+        options: [keyOption, projectOption]
+    },
+    {
+        name: 'revoke',
+        description: '[Staff] Revoga uma key',
+        staff: true,
+        options: [keyOption, { type: 3, name: 'reason', description: 'Motivo' }, projectOption]
+    }
+];
+
+let publicKey = null;
+if (DISCORD_PUBLIC_KEY) {
+    try {
+        // Chave crua de 32 bytes (hex) embrulhada em SPKI DER
+        publicKey = crypto.createPublicKey({
+            key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), Buffer.from(DISCORD_PUBLIC_KEY, 'hex')]),
+            format: 'der',
+            type: 'spki'
+        });
+    } catch (error) {
+        console.error('DISCORD_PUBLIC_KEY inválida:', error.message);
+    }
+}
+
+function isDiscordEnabled() {
+    return publicKey !== null;
+}
+
+// Confere a assinatura Ed25519 de uma interação e se o timestamp (em segundos) é recente
+function verifyInteraction(signature, timestamp, rawBody, now = Date.now()) {
+    if (!publicKey || typeof signature !== 'string' || typeof timestamp !== 'string' || !rawBody) return false;
+    if (!/^[0-9a-f]{128}$/i.test(signature) || !/^\d{1,12}$/.test(timestamp)) return false;
+    if (Math.abs(now / 1000 - Number(timestamp)) > DISCORD_MAX_TIMESTAMP_AGE_SECONDS) return false;
+
+    return crypto.verify(
+        null,
+        Buffer.concat([Buffer.from(timestamp), rawBody]),
+        publicKey,
+        Buffer.from(signature, 'hex')
+    );
+}
+
+// { nome: valor } das opções do comando
+function getOptions(interaction) {
+    const options = {};
+    for (const option of interaction.data?.options || []) {
+        options[option.name] = option.value;
+    }
+    return options;
+}
+
+function getDiscordUser(interaction) {
+    return interaction.member?.user || interaction.user || {};
+}
+
+// Staff = algum cargo de DISCORD_STAFF_ROLE_IDS ou permissão de Administrador.
+// Fora de um servidor (DM) não há cargos, então ninguém é staff.
+function isStaff(interaction) {
+    const member = interaction.member;
+    if (!member) return false;
+
+    if ((member.roles || []).some(role => DISCORD_STAFF_ROLE_IDS.includes(role))) return true;
+
+    try {
+        return (BigInt(member.permissions || 0) & ADMINISTRATOR) === ADMINISTRATOR;
+    } catch (_) {
+        return false;
+    }
+}
+
+function isStaffCommand(name) {
+    return DISCORD_COMMANDS.some(command => command.name === name && command.staff);
+}
+
+// Resposta visível só para quem executou o comando
+function message(content) {
+    return { type: RESPONSE_TYPES.MESSAGE, data: { content, flags: EPHEMERAL } };
+}
+
+// Substitui a resposta adiada (DEFERRED_MESSAGE) pelo conteúdo final
+async function editOriginal(interaction, content) {
+    await axios.patch(
+        `${DISCORD_API}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`,
+        { content },
+        { timeout: 10000 }
+    );
+}
+
+// Registra (sobrescreve) os comandos globais da aplicação
+async function registerCommands() {
+    if (!DISCORD_APPLICATION_ID || !DISCORD_BOT_TOKEN) {
+        throw new Error('DISCORD_APPLICATION_ID e DISCORD_BOT_TOKEN são obrigatórios');
+    }
+
+    // A permissão de staff é checada no servidor; o campo staff não vai para o Discord
+    const commands = DISCORD_COMMANDS.map(({ staff, ...command }) => command);
+
+    const response = await axios.put(
+        `${DISCORD_API}/applications/${DISCORD_APPLICATION_ID}/commands`,
+        commands,
+        { headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}` }, timeout: 10000 }
+    );
+
+    return response.data;
+}
+
+module.exports = {
+    DISCORD_COMMANDS,
+    DISCORD_PROJECT,
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    EPHEMERAL,
+    isDiscordEnabled,
+    verifyInteraction,
+    getOptions,
+    getDiscordUser,
+    isStaff,
+    isStaffCommand,
+    message,
+    editOriginal,
+    registerCommands
+};
@@ -0,0 +1,126 @@
+// Sessões ao vivo: um /validar bem-sucedido abre uma sessão e o loader manda
+// POST /heartbeat periodicamente. Cada heartbeat confere a key de novo, então
+// revogar, expirar, bloquear na blacklist ou resetar o HWID encerra um script
+// que já está rodando. Sem heartbeat por SESSION_TIMEOUT_SECONDS a sessão deixa
+// de contar como ativa (e sai do armazenamento na limpeza periódica).
+const crypto = require('crypto');
+const { identityMatches, isExpired, getExpiresAt, getKeyTier } = require('./keys');
+
+const SESSION_HEARTBEAT_SECONDS = parseInt(process.env.SESSION_HEARTBEAT_SECONDS, 10) || 60;
+const SESSION_TIMEOUT_SECONDS = parseInt(process.env.SESSION_TIMEOUT_SECONDS, 10) || SESSION_HEARTBEAT_SECONDS * 3;
+
+// O id em texto puro só vai para o cliente; o armazenamento guarda o hash
+function sessionId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isLive(session, now = Date.now()) {
+    return session.expiresAt > now;
+}
+
+// Dados da sessão para a API admin
+function publicSession(session, now = Date.now()) {
+    return {
+        ...session,
+        startedAt: new Date(session.startedAt).toISOString(),
+        lastSeenAt: new Date(session.lastSeenAt).toISOString(),
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        idleSeconds: Math.max(0, Math.floor((now - session.lastSeenAt) / 1000))
+    };
+}
+
+// Abre a sessão depois de uma validação com sucesso. A mesma identidade
+// validando de novo a key (script reexecutado) substitui a sessão anterior.
+async function openSession(collection, { project, keyObj, identity, ip }, now = Date.now()) {
+    const previous = (await collection.find({ key: keyObj.key }))
+        .filter(session => session.userId === identity.userId && session.hwid === identity.hwid)
+        .map(session => session.id);
+    if (previous.length > 0) await collection.removeMany(previous);
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    await collection.insert({
+        id: sessionId(token),
+        project,
+        key: keyObj.key,
+        keyHint: keyObj.keyHint,
+        ...identity,
+        ip,
+        startedAt: now,
+        lastSeenAt: now,
+        heartbeats: 0,
+        expiresAt: now + SESSION_TIMEOUT_SECONDS * 1000
+    });
+
+    return { sessionId: token, heartbeatSeconds: SESSION_HEARTBEAT_SECONDS };
+}
+
+// Decide a resposta de um heartbeat, no mesmo formato do evaluateValidation.
+// blocked: entrada da blacklist que bate com a sessão (ou null).
+// Sem changes a sessão é encerrada e o loader deve parar o script.
+function evaluateHeartbeat(session, keyObj, blocked, now = Date.now()) {
+    const end = (status, reason, message, extra = {}) => ({
+        status,
+        reason,
+        log: `Sessão encerrada (${reason})`,
+        body: { valid: false, status: reason, message, ...extra }
+    });
+
+    if (!keyObj) return end(403, 'revoked', "Key removida");
+    if (keyObj.revoked) return end(403, 'revoked', "Key revogada");
+    if (isExpired(keyObj, now)) return end(403, 'expired', "Key expirada");
+    if (blocked) {
+        return end(451, 'blacklisted', "Acesso bloqueado", {
+            reason: blocked.reason,
+            expiresAt: blocked.expiresAt ? new Date(blocked.expiresAt).toISOString() : null
+        });
+    }
+
+    // Vínculo removido (reset pelo admin ou Discord) ou HWID do userId liberado
+    // pelo /resetar depois que a sessão abriu: o dispositivo antigo perde a sessão.
+    // Sessões abertas depois do reset (o novo dispositivo) continuam valendo.
+    const identity = { userId: session.userId, hwid: session.hwid };
+    if ((identity.userId || identity.hwid)
+        && !(keyObj.boundTo || []).some(bound => identityMatches(bound, identity)
+            && !(bound.hwidResetAt >= session.startedAt))) {
+        return end(403, 'unbound', "Key não está mais vinculada a este dispositivo");
+    }
+
+    const expiresAt = getExpiresAt(keyObj);
+    return {
+        status: 200,
+        reason: 'active',
+        changes: {
+            lastSeenAt: now,
+            heartbeats: (session.heartbeats || 0) + 1,
+            expiresAt: now + SESSION_TIMEOUT_SECONDS * 1000
+        },
+        body: {
+            valid: true,
+            status: 'active',
+            message: "Sessão ativa",
+            heartbeatSeconds: SESSION_HEARTBEAT_SECONDS,
+            tier: getKeyTier(keyObj),
+            expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString()
+        }
+    };
+}
+
+// Remove sessões sem heartbeat (limpeza periódica)
+async function pruneSessions(collection, now = Date.now()) {
+    const stale = (await collection.all())
+        .filter(session => !isLive(session, now))
+        .map(session => session.id);
+    if (stale.length > 0) await collection.removeMany(stale);
+    return stale.length;
+}
+
+module.exports = {
+    SESSION_HEARTBEAT_SECONDS,
+    SESSION_TIMEOUT_SECONDS,
+    sessionId,
+    isLive,
+    publicSession,
+    openSession,
+    evaluateHeartbeat,
+    pruneSessions
+};
@@ -0,0 +1,153 @@
+// Formato das keys: prefixo + corpo aleatório (>= 128 bits) + checksum,
+// agrupado em segmentos (ex.: PROJ-7KQ2-MZ9X-...). O checksum deixa recusar
+// erros de digitação sem consultar o armazenamento.
+const crypto = require('crypto');
+
+// safe: sem caracteres ambíguos (0/O, 1/I); hex e safe não diferenciam maiúsculas
+const KEY_ALPHABETS = {
+    safe: '23456789ABCDEFGHJKLMNPQRSTUVWXYZ',
+    hex: '0123456789ABCDEF',
+    alphanumeric: '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz'
+};
+const CASE_INSENSITIVE_ALPHABETS = ['safe', 'hex'];
+const MIN_KEY_BITS = 128;
+const CHECKSUM_LENGTH = 2;
+const MAX_KEY_LENGTH = 64;
+const MAX_GROUP_SIZE = 16;
+
+// Chaves antigas (timestamp36-HEX12, com prefixo opcional): sem checksum
+const LEGACY_KEY_PATTERN = /^(?:[A-Za-z0-9]{1,12}-)?[0-9a-z]{6,12}-[0-9A-F]{12}$/;
+// Keys importadas de outro key system: formato livre, sem checksum
+const IMPORTED_KEY_PATTERN = /^[A-Za-z0-9_-]{4,128}$/;
+
+// Menor quantidade de caracteres que atinge MIN_KEY_BITS no alfabeto
+function minLength(alphabet) {
+    return Math.ceil(MIN_KEY_BITS / Math.log2(KEY_ALPHABETS[alphabet].length));
+}
+
+// Formato padrão vem do .env (KEY_ALPHABET, KEY_LENGTH, KEY_GROUP_SIZE)
+const DEFAULT_KEY_FORMAT = normalizeFormat({
+    alphabet: process.env.KEY_ALPHABET,
+    length: parseInt(process.env.KEY_LENGTH, 10) || undefined,
+    groupSize: process.env.KEY_GROUP_SIZE !== undefined ? parseInt(process.env.KEY_GROUP_SIZE, 10) : undefined
+});
+
+// Completa e corrige um formato parcial (comprimento nunca abaixo de 128 bits)
+function normalizeFormat(format = {}) {
+    const alphabet = KEY_ALPHABETS[format.alphabet] ? format.alphabet : 'safe';
+    const length = Math.min(MAX_KEY_LENGTH, Math.max(minLength(alphabet), format.length || 0));
+    const groupSize = Number.isInteger(format.groupSize) && format.groupSize >= 0
+        ? Math.min(MAX_GROUP_SIZE, format.groupSize)
+        : 4;
+    return { alphabet, length, groupSize };
+}
+
+// Formato efetivo de um projeto (keyFormat parcial sobre o padrão do .env;
+// campos undefined, de projetos gravados antes, não sobrescrevem o padrão)
+function getKeyFormat(project = {}) {
+    const overrides = Object.entries(project.keyFormat || {}).filter(([, value]) => value !== undefined);
+    return normalizeFormat({ ...DEFAULT_KEY_FORMAT, ...Object.fromEntries(overrides) });
+}
+
+// Valida o keyFormat enviado na API admin; retorna a mensagem de erro ou null
+function validateKeyFormat(format) {
+    if (!format || typeof format !== 'object' || Array.isArray(format)) {
+        return "keyFormat deve ser um objeto { alphabet, length, groupSize }";
+    }
+    const alphabet = format.alphabet || DEFAULT_KEY_FORMAT.alphabet;
+    if (!KEY_ALPHABETS[alphabet]) {
+        return `keyFormat.alphabet inválido (use: ${Object.keys(KEY_ALPHABETS).join(', ')})`;
+    }
+    if (format.length !== undefined) {
+        const min = minLength(alphabet);
+        if (!Number.isInteger(format.length) || format.length < min || format.length > MAX_KEY_LENGTH) {
+            return `keyFormat.length deve ser um inteiro entre ${min} e ${MAX_KEY_LENGTH} para o alfabeto ${alphabet}`;
+        }
+    }
+    if (format.groupSize !== undefined) {
+        if (!Number.isInteger(format.groupSize) || format.groupSize < 0 || format.groupSize > MAX_GROUP_SIZE) {
+            return `keyFormat.groupSize deve ser um inteiro entre 0 e ${MAX_GROUP_SIZE} (0 = sem grupos)`;
+        }
+    }
+    return null;
+}
+
+function checksum(body, alphabet) {
+    const chars = KEY_ALPHABETS[alphabet];
+    const digest = crypto.createHash('sha256').update(body).digest();
+    let result = '';
+    for (let i = 0; i < CHECKSUM_LENGTH; i++) {
+        result += chars[digest[i] % chars.length];
+    }
+    return result;
+}
+
+function group(text, size) {
+    if (!size) return text;
+    return text.match(new RegExp(`.{1,${size}}`, 'g')).join('-');
+}
+
+// Gera uma key no formato do projeto (crypto.randomInt evita viés de módulo)
+function generateFormattedKey(project = {}) {
+    const format = getKeyFormat(project);
+    const chars = KEY_ALPHABETS[format.alphabet];
+
+    let body = '';
+    for (let i = 0; i < format.length; i++) {
+        body += chars[crypto.randomInt(chars.length)];
+    }
+
+    const formatted = group(body + checksum(body, format.alphabet), format.groupSize);
+    return project.keyPrefix ? `${project.keyPrefix}-${formatted}` : formatted;
+}
+
+// Confere o checksum de um corpo (sem prefixo) num alfabeto
+function hasValidChecksum(text, alphabet) {
+    const chars = KEY_ALPHABETS[alphabet];
+    const compact = text.replace(/-/g, '');
+    if (compact.length < minLength(alphabet) + CHECKSUM_LENGTH) return false;
+    if (![...compact].every(char => chars.includes(char))) return false;
+    return checksum(compact.slice(0, -CHECKSUM_LENGTH), alphabet) === compact.slice(-CHECKSUM_LENGTH);
+}
+
+// Forma canônica de uma key digitada pelo jogador (aceita minúsculas nos
+// alfabetos sem caixa). Não depende do formato atual do projeto, então keys
+// emitidas antes de uma troca de prefixo/formato continuam aceitas; keys
+// antigas (sem checksum) passam como vieram. Retorna null se não conferir.
+function normalizeKey(input) {
+    if (typeof input !== 'string') return null;
+    const key = input.trim();
+    if (LEGACY_KEY_PATTERN.test(key)) return key;
+    if (!key || key.length > 128 || !/^[A-Za-z0-9-]+$/.test(key)) return null;
+
+    for (const candidate of [key, key.toUpperCase()]) {
+        // Primeiro segmento pode ser o prefixo do projeto
+        const dash = candidate.indexOf('-');
+        const bodies = dash === -1 ? [candidate] : [candidate, candidate.slice(dash + 1)];
+
+        for (const alphabet of Object.keys(KEY_ALPHABETS)) {
+            if (candidate !== key && !CASE_INSENSITIVE_ALPHABETS.includes(alphabet)) continue;
+            if (bodies.some(body => hasValidChecksum(body, alphabet))) return candidate;
+        }
+    }
+    return null;
+}
+
+// Key de outro sistema (projetos com acceptImportedKeys); null se tiver
+// caracteres fora de letras, números, - e _. Diferencia maiúsculas.
+function normalizeImportedKey(input) {
+    if (typeof input !== 'string') return null;
+    const key = input.trim();
+    return IMPORTED_KEY_PATTERN.test(key) ? key : null;
+}
+
+module.exports = {
+    KEY_ALPHABETS,
+    MIN_KEY_BITS,
+    DEFAULT_KEY_FORMAT,
+    getKeyFormat,
+    validateKeyFormat,
+    generateFormattedKey,
+    normalizeKey,
+    normalizeImportedKey
+};
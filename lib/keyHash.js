@@ -0,0 +1,101 @@
+// Keys guardadas como HMAC-SHA256 (KEY_HASH_SECRET) em vez de texto puro.
+// O id gravado passa a ser "hmac:<hex>" e só um trecho inicial (keyHint) fica
+// legível para o suporte; quem lê o keys.json ou um backup não consegue
+// resgatar as keys. Sem KEY_HASH_SECRET as keys continuam em texto puro.
+const crypto = require('crypto');
+const { normalizeKey } = require('./keyFormat');
+
+const KEY_HASH_SECRET = process.env.KEY_HASH_SECRET;
+const HASHED_PREFIX = 'hmac:';
+const KEY_HINT_LENGTH = 9;
+
+function isKeyHashingEnabled() {
+    return Boolean(KEY_HASH_SECRET);
+}
+
+function isKeyId(value) {
+    return typeof value === 'string' && value.startsWith(HASHED_PREFIX);
+}
+
+// Id com que a key é gravada e buscada no armazenamento
+function keyId(plainKey) {
+    if (!isKeyHashingEnabled()) return plainKey;
+    return HASHED_PREFIX + crypto.createHmac('sha256', KEY_HASH_SECRET).update(plainKey).digest('hex');
+}
+
+// Trecho inicial exibido no painel, nos logs e no suporte
+function keyHint(plainKey) {
+    return plainKey.slice(0, KEY_HINT_LENGTH) + '…';
+}
+
+// Como a key aparece em logs e webhooks (o trecho inicial, se houver hash)
+function maskKey(plainKey) {
+    return isKeyHashingEnabled() ? keyHint(plainKey) : plainKey;
+}
+
+// Rótulo legível de uma key gravada
+function keyLabel(keyObj) {
+    return keyObj.keyHint || keyObj.key;
+}
+
+// Confere em tempo constante se a key informada é a do registro
+function keyMatches(keyObj, plainKey) {
+    const expected = Buffer.from(keyObj.key);
+    const received = Buffer.from(keyId(plainKey));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// Aceita tanto a key em texto puro (digitada pelo suporte) quanto o id gravado
+function toKeyId(input) {
+    if (typeof input !== 'string' || !input.trim()) return null;
+    if (isKeyId(input)) return input;
+    return keyId(normalizeKey(input) || input.trim());
+}
+
+// Campos do registro de uma key recém-gerada
+function storedKeyFields(plainKey) {
+    if (!isKeyHashingEnabled()) return { key: plainKey };
+    return { key: keyId(plainKey), keyHint: keyHint(plainKey) };
+}
+
+// Converte no lugar as keys (e entradas de key da blacklist) ainda em texto puro
+async function migrateKeyHashes(keys, blacklist) {
+    const docs = await keys.all();
+
+    if (!isKeyHashingEnabled()) {
+        if (docs.some(doc => isKeyId(doc.key))) {
+            console.error('ERRO: há keys com hash no armazenamento, mas KEY_HASH_SECRET não está definido');
+        }
+        return 0;
+    }
+
+    let migrated = 0;
+    for (const doc of docs) {
+        if (isKeyId(doc.key)) continue;
+        const fields = storedKeyFields(doc.key);
+        // Se a migração anterior parou no meio, a versão com hash já existe
+        if (!(await keys.get(fields.key))) await keys.insert({ ...doc, ...fields });
+        await keys.remove(doc.key);
+        migrated++;
+    }
+
+    for (const entry of blacklist.list()) {
+        if (entry.type !== 'key' || isKeyId(entry.value)) continue;
+        await blacklist.update(entry.id, { value: keyId(entry.value), label: keyHint(entry.value) });
+    }
+
+    return migrated;
+}
+
+module.exports = {
+    isKeyHashingEnabled,
+    isKeyId,
+    keyId,
+    keyHint,
+    maskKey,
+    keyLabel,
+    keyMatches,
+    toKeyId,
+    storedKeyFields,
+    migrateKeyHashes
+};
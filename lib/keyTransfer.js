@@ -0,0 +1,560 @@
+// Exportação e importação de keys em CSV ou JSON (API admin e linha de comando).
+// Com KEY_HASH_SECRET a exportação só tem o id gravado (hmac:...) e o keyHint;
+// a importação aceita keys em texto puro (gravadas com hash) ou ids hmac: de
+// uma exportação feita com o mesmo segredo.
+//
+// Uso pela linha de comando (com STORAGE_DRIVER=json, pare o servidor antes
+// de importar, senão ele sobrescreve o keys.json com o que tem em memória):
+//   npm run keys:export -- [--format csv|json] [--project p] [--status s] [--out arquivo]
+//   npm run keys:import -- <arquivo> [--format csv|json] [--project p] [--dry-run] [--skip-duplicates]
+if (require.main === module) {
+    // O .env precisa ser lido antes do keyHash (KEY_HASH_SECRET)
+    require('dotenv').config();
+}
+
+const { normalizeProjectKey, resolveProject, keyBelongsTo, getKeyProject } = require('./projects');
+const { isKeyHashingEnabled, isKeyId, maskKey, storedKeyFields } = require('./keyHash');
+const {
+    KEY_TYPES,
+    KEY_STATUSES,
+    KEY_TIERS,
+    buildKeyObject,
+    parseIdentity,
+    getExpiresAt,
+    getKeyStatus,
+    getKeyTier
+} = require('./keys');
+
+const TRANSFER_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 50000;
+const EXPORT_FIELDS = [
+    'key', 'keyHint', 'project', 'type', 'tier', 'status', 'used', 'revoked', 'revokedReason',
+    'createdAt', 'usedAt', 'expiresAt', 'maxIdentities', 'allowedUserId', 'discordUserId',
+    'boundTo', 'source', 'shortLink', 'originalLink'
+];
+const DATE_FIELDS = ['createdAt', 'usedAt', 'expiresAt'];
+
+// -------------------- CSV -------------------- //
+
+// Textos que começam com = + - @ (ou tab/CR) viram fórmula ao abrir o CSV numa
+// planilha; o apóstrofo na frente faz a célula ser lida como texto
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(fields, rows) {
+    return [fields, ...rows.map(row => fields.map(field => row[field]))]
+        .map(cells => cells.map(csvCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// CSV com cabeçalho (RFC 4180: aspas duplas, "" escapado, quebras dentro de aspas).
+// Retorna { records: [{ row, data }] } ou { error }; row é a linha no arquivo.
+function parseCsv(text) {
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let startLine = 1;
+
+    const source = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            cells.push(cell);
+            lines.push({ line: startLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            startLine = line;
+        } else {
+            cell += char;
+        }
+    }
+
+    if (quoted) return { error: `Aspas não fechadas a partir da linha ${startLine}` };
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        lines.push({ line: startLine, cells });
+    }
+
+    const filled = lines.filter(entry => entry.cells.some(value => value.trim() !== ''));
+    if (filled.length === 0) return { error: "Arquivo CSV vazio" };
+
+    const header = filled[0].cells.map(name => name.trim());
+    if (!header.includes('key')) return { error: "O cabeçalho do CSV precisa da coluna key" };
+
+    return {
+        records: filled.slice(1).map(({ line: row, cells: values }) => {
+            const data = {};
+            header.forEach((name, index) => {
+                let value = (values[index] || '').trim();
+                // Desfaz o apóstrofo que a exportação põe antes de fórmulas
+                if (value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1))) value = value.slice(1);
+                if (name && value !== '') data[name] = value;
+            });
+            return { row, data };
+        })
+    };
+}
+
+// -------------------- Exportação -------------------- //
+
+function isoDate(value) {
+    return value === undefined || value === null ? value : new Date(value).toISOString();
+}
+
+// Filtros da exportação (mesmos nomes da listagem do painel); retorna { error } ou { filter }
+function buildExportFilter(query = {}) {
+    const { project, status, type, tier } = query;
+
+    if (status && !KEY_STATUSES.includes(status)) {
+        return { error: `Status inválido (use: ${KEY_STATUSES.join(', ')})` };
+    }
+    if (type && !KEY_TYPES.includes(type)) {
+        return { error: `Tipo inválido (use: ${KEY_TYPES.join(', ')})` };
+    }
+    if (tier && !KEY_TIERS.includes(tier)) {
+        return { error: `Tier inválido (use: ${KEY_TIERS.join(', ')})` };
+    }
+
+    const range = {};
+    for (const field of ['createdFrom', 'createdTo']) {
+        if (query[field] === undefined) continue;
+        const time = Date.parse(query[field]);
+        if (!Number.isFinite(time)) return { error: `${field} deve ser uma data (ISO 8601)` };
+        range[field] = time;
+    }
+
+    return {
+        filter: (keyObj, now = Date.now()) => (
+            (!project || keyBelongsTo(keyObj, project))
+            && (!status || getKeyStatus(keyObj, now) === status)
+            && (!type || (keyObj.type || 'standard') === type)
+            && (!tier || getKeyTier(keyObj) === tier)
+            && (range.createdFrom === undefined || (keyObj.createdAt || 0) >= range.createdFrom)
+            && (range.createdTo === undefined || (keyObj.createdAt || 0) <= range.createdTo)
+        )
+    };
+}
+
+// Linha exportada de uma key (datas em ISO, status calculado)
+function toExportRow(keyObj, now = Date.now()) {
+    return {
+        key: keyObj.key,
+        keyHint: keyObj.keyHint,
+        project: getKeyProject(keyObj),
+        type: keyObj.type || 'standard',
+        tier: getKeyTier(keyObj),
+        status: getKeyStatus(keyObj, now),
+        used: Boolean(keyObj.used),
+        revoked: Boolean(keyObj.revoked),
+        revokedReason: keyObj.revokedReason,
+        createdAt: isoDate(keyObj.createdAt),
+        usedAt: isoDate(keyObj.usedAt),
+        expiresAt: isoDate(getExpiresAt(keyObj)),
+        maxIdentities: keyObj.maxIdentities,
+        allowedUserId: keyObj.allowedUserId,
+        discordUserId: keyObj.discordUserId,
+        boundTo: (keyObj.boundTo || []).map(({ userId, hwid, boundAt }) => ({ userId, hwid, boundAt: isoDate(boundAt) })),
+        source: keyObj.source,
+        shortLink: keyObj.shortLink,
+        originalLink: keyObj.originalLink
+    };
+}
+
+// Keys filtradas no formato pedido; retorna { count, content }
+async function exportKeys(collection, { format = 'json', filter = () => true } = {}, now = Date.now()) {
+    const rows = (await collection.all())
+        .filter(keyObj => filter(keyObj, now))
+        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+        .map(keyObj => toExportRow(keyObj, now));
+
+    return {
+        count: rows.length,
+        // No CSV a célula vazia é "não informado"; vitalícia sai como "never"
+        content: format === 'csv'
+            ? toCsv(EXPORT_FIELDS, rows.map(row => (row.expiresAt === null ? { ...row, expiresAt: 'never' } : row)))
+            : JSON.stringify(rows, null, 2) + '\n'
+    };
+}
+
+// -------------------- Importação -------------------- //
+
+// Lê o arquivo/corpo no formato informado; retorna { records } ou { error }
+function parseImport(input, format) {
+    if (format === 'csv') {
+        return typeof input === 'string' ? parseCsv(input) : { error: "Conteúdo CSV esperado" };
+    }
+
+    let list = input;
+    if (typeof input === 'string') {
+        try {
+            list = JSON.parse(input);
+        } catch (error) {
+            return { error: `JSON inválido: ${error.message}` };
+        }
+    }
+    if (list && !Array.isArray(list) && Array.isArray(list.keys)) list = list.keys;
+    if (!Array.isArray(list)) return { error: "JSON deve ser uma lista de keys ou { keys: [...] }" };
+
+    return {
+        records: list.map((data, index) => ({
+            row: index + 1,
+            data: data && typeof data === 'object' && !Array.isArray(data) ? data : null
+        }))
+    };
+}
+
+// Datas em ms ou ISO; '' e undefined = não informado, null/"null"/"never" = sem data
+function parseDate(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === null || value === 'null' || value === 'never') return null;
+    if (typeof value === 'number') return Number.isFinite(value) ? value : false;
+    const time = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    return Number.isFinite(time) ? time : false;
+}
+
+function parseBoolean(value) {
+    if (value === undefined || value === '') return undefined;
+    if (value === true || value === 'true' || value === '1' || value === 1) return true;
+    if (value === false || value === 'false' || value === '0' || value === 0) return false;
+    return null;
+}
+
+// boundTo do CSV vem como texto JSON; cada vínculo passa pela mesma validação do /validar
+function parseBindings(value, now) {
+    if (value === undefined || value === '') return [];
+    let list = value;
+    if (typeof value === 'string') {
+        try {
+            list = JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+    if (!Array.isArray(list)) return null;
+
+    const bindings = [];
+    for (const item of list) {
+        const identity = item && typeof item === 'object' ? parseIdentity(item) : null;
+        if (!identity || (!identity.userId && !identity.hwid)) return null;
+        const boundAt = parseDate(item.boundAt);
+        bindings.push({ ...identity, boundAt: boundAt || now, lastSeenAt: boundAt || now });
+    }
+    return bindings;
+}
+
+// Monta o registro de uma linha importada; retorna { keyObject, label } ou { error, field, label }
+function buildImportedKey(data, project, now = Date.now()) {
+    const fail = (field, error, label) => ({ field, error, label });
+
+    if (!data) return fail(null, "Linha deve ser um objeto");
+    if (typeof data.key !== 'string' || !data.key.trim()) return fail('key', "key é obrigatória");
+
+    // Id hmac: de outra exportação ou key em texto puro (vira hash aqui)
+    let stored;
+    let label;
+    const rawKey = data.key.trim();
+    if (isKeyId(rawKey)) {
+        if (!isKeyHashingEnabled()) {
+            return fail('key', "Key com hash (hmac:) exige KEY_HASH_SECRET igual ao do sistema de origem", rawKey);
+        }
+        label = typeof data.keyHint === 'string' ? data.keyHint : rawKey;
+        stored = { key: rawKey, keyHint: typeof data.keyHint === 'string' ? data.keyHint : undefined };
+    } else {
+        const plainKey = normalizeProjectKey(rawKey, project);
+        label = maskKey(rawKey);
+        if (!plainKey) {
+            return fail('key', project.acceptImportedKeys
+                ? "key inválida (use letras, números, - e _, de 4 a 128 caracteres)"
+                : "key fora do formato deste sistema (para keys de outro sistema ative acceptImportedKeys no projeto)", label);
+        }
+        stored = storedKeyFields(plainKey);
+        label = maskKey(plainKey);
+    }
+
+    const type = data.type || project.defaultKeyType || 'standard';
+    if (!KEY_TYPES.includes(type)) return fail('type', `Tipo inválido (use: ${KEY_TYPES.join(', ')})`, label);
+
+    if (data.tier !== undefined && !KEY_TIERS.includes(data.tier)) {
+        return fail('tier', `Tier inválido (use: ${KEY_TIERS.join(', ')})`, label);
+    }
+
+    const dates = {};
+    for (const field of DATE_FIELDS) {
+        dates[field] = parseDate(data[field]);
+        if (dates[field] === false || (dates[field] === null && field !== 'expiresAt')) {
+            return fail(field, `${field} deve ser uma data (ISO 8601 ou timestamp em ms)`, label);
+        }
+    }
+
+    const flags = {};
+    for (const field of ['used', 'revoked']) {
+        flags[field] = parseBoolean(data[field]);
+        if (flags[field] === null) return fail(field, `${field} deve ser true ou false`, label);
+    }
+
+    let maxIdentities;
+    if (data.maxIdentities !== undefined && data.maxIdentities !== '') {
+        maxIdentities = Number(data.maxIdentities);
+        if (!Number.isInteger(maxIdentities) || maxIdentities < 1) {
+            return fail('maxIdentities', "maxIdentities deve ser um inteiro maior que zero", label);
+        }
+    }
+
+    for (const field of ['allowedUserId', 'discordUserId']) {
+        if (data[field] !== undefined && !/^\d{1,20}$/.test(String(data[field]))) {
+            return fail(field, `${field} deve ser um id numérico`, label);
+        }
+    }
+
+    const boundTo = parseBindings(data.boundTo, now);
+    if (!boundTo) return fail('boundTo', "boundTo deve ser uma lista de { userId, hwid }", label);
+
+    const createdAt = dates.createdAt || now;
+    // Key com vínculo já foi usada, mesmo que a origem diga o contrário
+    const used = Boolean(flags.used) || boundTo.length > 0;
+    const base = buildKeyObject({ project, type, maxIdentities }, createdAt);
+    const text = field => (typeof data[field] === 'string' && data[field] ? data[field] : undefined);
+
+    return {
+        label,
+        keyObject: {
+            ...base,
+            ...stored,
+            expiresAt: dates.expiresAt !== undefined ? dates.expiresAt : base.expiresAt,
+            tier: data.tier === 'premium' ? 'premium' : undefined,
+            used,
+            usedAt: used ? (dates.usedAt || createdAt) : undefined,
+            revoked: flags.revoked || undefined,
+            revokedAt: flags.revoked ? now : undefined,
+            revokedReason: flags.revoked ? text('revokedReason') : undefined,
+            allowedUserId: data.allowedUserId !== undefined ? String(data.allowedUserId) : undefined,
+            discordUserId: data.discordUserId !== undefined ? String(data.discordUserId) : undefined,
+            boundTo,
+            shortLink: text('shortLink'),
+            originalLink: text('originalLink'),
+            source: 'import',
+            importedFrom: text('source'),
+            importedAt: now
+        }
+    };
+}
+
+// Valida todas as linhas e grava as válidas (a não ser em dryRun).
+// Duplicadas (no arquivo ou já gravadas) viram erro, ou só são puladas com skipDuplicates.
+// Retorna o relatório com os erros por linha.
+async function importKeys(services, records, {
+    project: defaultProjectId,
+    dryRun = false,
+    skipDuplicates = false
+} = {}, now = Date.now()) {
+    const report = {
+        dryRun,
+        total: records.length,
+        imported: 0,
+        duplicates: 0,
+        failed: 0,
+        errors: []
+    };
+    const projects = new Map();
+    const seen = new Set();
+    const toInsert = [];
+
+    for (const { row, data } of records) {
+        const projectId = (data && data.project) || defaultProjectId;
+        if (!projects.has(projectId)) projects.set(projectId, await resolveProject(services, projectId));
+        const project = projects.get(projectId);
+
+        if (!project) {
+            report.failed++;
+            report.errors.push({ row, field: 'project', error: `Projeto não encontrado: ${projectId}` });
+            continue;
+        }
+
+        const result = buildImportedKey(data, project, now);
+        if (result.error) {
+            report.failed++;
+            report.errors.push({ row, key: result.label, field: result.field, error: result.error });
+            continue;
+        }
+
+        const { keyObject, label } = result;
+        const duplicate = seen.has(keyObject.key)
+            ? "Key repetida no arquivo"
+            : (await services.keys.get(keyObject.key)) && "Key já existe no armazenamento";
+        seen.add(keyObject.key);
+
+        if (duplicate) {
+            report.duplicates++;
+            if (!skipDuplicates) {
+                report.failed++;
+                report.errors.push({ row, key: label, field: 'key', error: duplicate });
+            }
+            continue;
+        }
+
+        toInsert.push({ row, label, keyObject });
+    }
+
+    if (dryRun) {
+        report.imported = toInsert.length;
+        return report;
+    }
+
+    // Inserções em paralelo: no driver JSON várias gravações seguidas viram uma escrita só
+    await Promise.all(toInsert.map(async ({ row, label, keyObject }) => {
+        try {
+            await services.keys.insert(keyObject);
+            report.imported++;
+        } catch (error) {
+            if (error.code !== 'DUPLICATE') throw error;
+            report.duplicates++;
+            report.failed++;
+            report.errors.push({ row, key: label, field: 'key', error: "Key já existe no armazenamento" });
+        }
+    }));
+
+    report.errors.sort((a, b) => a.row - b.row);
+    return report;
+}
+
+// -------------------- Linha de comando -------------------- //
+
+function parseArgs(argv) {
+    const args = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) {
+            args._.push(argv[i]);
+        } else if (match[2] !== undefined) {
+            args[match[1]] = match[2];
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')
+            && !['dry-run', 'skip-duplicates'].includes(match[1])) {
+            args[match[1]] = argv[++i];
+        } else {
+            args[match[1]] = true;
+        }
+    }
+    return args;
+}
+
+function formatFromFile(file, fallback = 'json') {
+    const extension = String(file || '').split('.').pop().toLowerCase();
+    return TRANSFER_FORMATS.includes(extension) ? extension : fallback;
+}
+
+async function runCli(argv) {
+    const path = require('path');
+    const fs = require('fs-extra');
+    const { createStorage, ROOT_DIR } = require('./storage');
+
+    const [command, file] = argv._;
+    if (!['export', 'import'].includes(command) || (command === 'import' && !file)) {
+        console.error('Uso: node lib/keyTransfer.js export [--format csv|json] [--project p] [--status s] [--type t] [--tier t] [--out arquivo]');
+        console.error('     node lib/keyTransfer.js import <arquivo> [--format csv|json] [--project p] [--dry-run] [--skip-duplicates]');
+        return 1;
+    }
+
+    const format = argv.format || formatFromFile(command === 'export' ? argv.out : file);
+    if (!TRANSFER_FORMATS.includes(format)) {
+        console.error(`Formato inválido (use: ${TRANSFER_FORMATS.join(', ')})`);
+        return 1;
+    }
+
+    const storage = createStorage({ keysFile: path.join(ROOT_DIR, 'keys.json') });
+    await storage.init();
+    const services = {
+        keys: await storage.collection('keys', {
+            idField: 'key',
+            indexes: ['shortLink', 'originalLink', 'used', 'expiresAt', 'project']
+        }),
+        projects: await storage.collection('projects', { idField: 'id' })
+    };
+
+    try {
+        if (command === 'export') {
+            const { error, filter } = buildExportFilter(argv);
+            if (error) {
+                console.error(error);
+                return 1;
+            }
+
+            const { count, content } = await exportKeys(services.keys, { format, filter });
+            if (argv.out) {
+                await fs.writeFile(argv.out, content);
+                console.error(`${count} keys exportadas para ${argv.out}`);
+            } else {
+                process.stdout.write(content);
+            }
+            return 0;
+        }
+
+        const parsed = parseImport(await fs.readFile(file, 'utf8'), format);
+        if (parsed.error) {
+            console.error(parsed.error);
+            return 1;
+        }
+        if (parsed.records.length > MAX_IMPORT_ROWS) {
+            console.error(`Arquivo com mais de ${MAX_IMPORT_ROWS} linhas; divida a importação`);
+            return 1;
+        }
+
+        const report = await importKeys(services, parsed.records, {
+            project: argv.project,
+            dryRun: argv['dry-run'] === true,
+            skipDuplicates: argv['skip-duplicates'] === true
+        });
+
+        for (const entry of report.errors) {
+            console.error(`Linha ${entry.row}${entry.key ? ` (${entry.key})` : ''}: ${entry.field ? `${entry.field}: ` : ''}${entry.error}`);
+        }
+        console.log(`${report.dryRun ? 'Simulação: ' : ''}${report.imported} de ${report.total} keys ${report.dryRun ? 'seriam importadas' : 'importadas'}`
+            + ` (${report.duplicates} duplicadas, ${report.failed} com erro)`);
+        return report.failed > 0 ? 2 : 0;
+    } finally {
+        await storage.close();
+    }
+}
+
+if (require.main === module) {
+    runCli(parseArgs(process.argv.slice(2)))
+        .then(code => process.exit(code))
+        .catch(error => {
+            console.error('Erro na transferência de keys:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    TRANSFER_FORMATS,
+    MAX_IMPORT_ROWS,
+    buildExportFilter,
+    exportKeys,
+    parseImport,
+    importKeys
+};
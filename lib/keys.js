@@ -0,0 +1,402 @@
+// Regras das keys: geração, expiração, vínculo de identidade e validação.
+// Funções puras sobre os objetos de key; quem grava é a camada de armazenamento.
+const { generateFormattedKey } = require('./keyFormat');
+const { storedKeyFields } = require('./keyHash');
+const { metrics } = require('./metrics');
+
+const MAX_IDENTITIES_PER_KEY = parseInt(process.env.MAX_IDENTITIES_PER_KEY, 10) || 1;
+const HOUR_MS = 60 * 60 * 1000;
+const KEY_TTL_HOURS = parseFloat(process.env.KEY_TTL_HOURS) || 24;
+const SESSION_KEY_HOURS = parseFloat(process.env.SESSION_KEY_HOURS) || 24;
+const KEY_TYPES = ['standard', 'session', 'lifetime'];
+const KEY_STATUSES = ['available', 'used', 'expired', 'revoked'];
+// premium: keys emitidas pelo admin sem passar pelo encurtador (apoiadores)
+const KEY_TIERS = ['free', 'premium'];
+
+const MAX_KEY_ATTEMPTS = 5;
+
+// Reset de HWID pelo jogador (o projeto pode sobrescrever com hwidReset*)
+const HWID_RESET_LIMIT = process.env.HWID_RESET_LIMIT !== undefined
+    ? Math.max(0, parseInt(process.env.HWID_RESET_LIMIT, 10) || 0)
+    : 2;
+const HWID_RESET_PERIOD_HOURS = parseFloat(process.env.HWID_RESET_PERIOD_HOURS) || 7 * 24;
+const HWID_RESET_COOLDOWN_HOURS = parseFloat(process.env.HWID_RESET_COOLDOWN_HOURS ?? 24);
+const MAX_RESET_HISTORY = 20;
+
+// Gerar key no formato do projeto (prefixo, alfabeto, grupos e checksum)
+function generateKey(project = {}) {
+    return generateFormattedKey(project);
+}
+
+// Monta o objeto de uma nova key de acordo com o tipo e as regras do projeto
+// (campos extras como shortLink/originalLink/source são copiados como vieram)
+function buildKeyObject({ project = {}, type, durationHours, maxIdentities, ...extra } = {}, now = Date.now()) {
+    const keyType = type || project.defaultKeyType || 'standard';
+    const ttlHours = project.keyTtlHours || KEY_TTL_HOURS;
+    const sessionHours = project.sessionKeyHours || SESSION_KEY_HOURS;
+
+    const keyObject = {
+        key: generateKey(project),
+        type: keyType,
+        used: false,
+        createdAt: now,
+        // Keys de sessão usam o TTL padrão como janela para a primeira ativação
+        expiresAt: keyType === 'lifetime'
+            ? null
+            : now + ((keyType === 'standard' && durationHours) || ttlHours) * HOUR_MS,
+        ...extra,
+        maxIdentities: maxIdentities || project.maxIdentities || MAX_IDENTITIES_PER_KEY,
+        boundTo: []
+    };
+
+    if (project.id) {
+        keyObject.project = project.id;
+    }
+
+    if (keyType === 'session') {
+        keyObject.sessionDuration = (durationHours || sessionHours) * HOUR_MS;
+    }
+
+    return keyObject;
+}
+
+// Monta e grava uma nova key garantindo que ela não exista ainda no armazenamento
+// (o insert também recusa duplicadas, o que cobre corridas entre requisições).
+// Retorna o registro gravado e a key em texto puro, que só existe nesta resposta.
+async function createKey(collection, options, now = Date.now()) {
+    for (let attempt = 1; attempt <= MAX_KEY_ATTEMPTS; attempt++) {
+        const built = buildKeyObject(options, now);
+        const keyObject = { ...built, ...storedKeyFields(built.key) };
+        if (await collection.get(keyObject.key)) continue;
+
+        try {
+            await collection.insert(keyObject);
+            metrics.keysGenerated.inc({ project: keyObject.project || 'default', source: keyObject.source || 'api' });
+            return { keyObject, plainKey: built.key };
+        } catch (error) {
+            if (error.code !== 'DUPLICATE') throw error;
+        }
+    }
+    throw new Error('Não foi possível gerar uma key única');
+}
+
+// Normalizar identidade enviada pelo cliente (Roblox UserId e/ou HWID do executor)
+function parseIdentity(body) {
+    const identity = {};
+
+    if (body.userId !== undefined && body.userId !== null && body.userId !== '') {
+        if (!['string', 'number'].includes(typeof body.userId)) return null;
+        const userId = String(body.userId).trim();
+        if (!/^\d{1,20}$/.test(userId)) return null;
+        identity.userId = userId;
+    }
+
+    if (body.hwid !== undefined && body.hwid !== null && body.hwid !== '') {
+        if (typeof body.hwid !== 'string') return null;
+        const hwid = body.hwid.trim();
+        if (!hwid || hwid.length > 256) return null;
+        identity.hwid = hwid;
+    }
+
+    return identity;
+}
+
+// Uma identidade vinculada só confere se todos os campos gravados forem iguais
+function identityMatches(bound, identity) {
+    if (bound.userId && bound.userId !== identity.userId) return false;
+    if (bound.hwid && bound.hwid !== identity.hwid) return false;
+    return true;
+}
+
+// Data de expiração da key (null = vitalícia)
+// Keys antigas sem expiresAt continuam valendo 24h a partir da criação
+function getExpiresAt(keyObj) {
+    if (keyObj.expiresAt !== undefined) return keyObj.expiresAt;
+    if (!keyObj.createdAt) return null;
+    return keyObj.createdAt + (24 * HOUR_MS);
+}
+
+function isExpired(keyObj, now = Date.now()) {
+    const expiresAt = getExpiresAt(keyObj);
+    return expiresAt !== null && now > expiresAt;
+}
+
+// Tempo restante em segundos (null = vitalícia)
+function getRemainingSeconds(keyObj, now = Date.now()) {
+    const expiresAt = getExpiresAt(keyObj);
+    if (expiresAt === null) return null;
+    return Math.max(0, Math.floor((expiresAt - now) / 1000));
+}
+
+// Keys de sessão passam a contar a duração a partir da primeira ativação
+function activationChanges(keyObj, now = Date.now()) {
+    const changes = { used: true, usedAt: now };
+    if (keyObj.type === 'session' && keyObj.sessionDuration) {
+        changes.expiresAt = now + keyObj.sessionDuration;
+    }
+    return changes;
+}
+
+// Situação atual da key (usada nos filtros do painel admin)
+function getKeyStatus(keyObj, now = Date.now()) {
+    if (keyObj.revoked) return 'revoked';
+    if (isExpired(keyObj, now)) return 'expired';
+    return keyObj.used ? 'used' : 'available';
+}
+
+// Keys antigas não têm tier: são todas do fluxo gratuito
+function getKeyTier(keyObj) {
+    return keyObj.tier || 'free';
+}
+
+// Campos de expiração e tier devolvidos pelo /validar
+function expiryInfo(keyObj, now = Date.now()) {
+    const expiresAt = getExpiresAt(keyObj);
+    return {
+        type: keyObj.type || 'standard',
+        tier: getKeyTier(keyObj),
+        expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+        remainingSeconds: getRemainingSeconds(keyObj, now)
+    };
+}
+
+// Decide o resultado do /validar para uma key e quais campos devem ser gravados.
+// Recusas trazem um código em reason (revoked, expired, not_whitelisted, used, bound_to_other).
+// Roda dentro do update do armazenamento, então a checagem e o vínculo são atômicos.
+function evaluateValidation(found, identity, now = Date.now()) {
+    if (found.revoked) {
+        return {
+            status: 403,
+            reason: 'revoked',
+            log: 'Key revogada',
+            body: { valid: false, message: "Key revogada" }
+        };
+    }
+
+    // Verificar se a key expirou
+    if (isExpired(found, now)) {
+        return {
+            status: 200,
+            reason: 'expired',
+            log: 'Key expirada',
+            body: { valid: false, message: "Key expirada" }
+        };
+    }
+
+    // Key reservada para um jogador (whitelist): só vale com o userId dele
+    if (found.allowedUserId && identity.userId !== found.allowedUserId) {
+        return {
+            status: 403,
+            reason: 'not_whitelisted',
+            log: 'Key reservada para outro usuário',
+            body: { valid: false, message: "Key reservada para outro usuário" }
+        };
+    }
+
+    const hasIdentity = Boolean(identity.userId || identity.hwid);
+    const boundTo = found.boundTo || [];
+
+    // Sem identidade: comportamento antigo, a key vale uma única vez
+    if (!hasIdentity) {
+        if (found.used) {
+            return {
+                status: 200,
+                reason: 'used',
+                log: 'Key já utilizada',
+                body: { valid: false, message: "Key já foi utilizada" }
+            };
+        }
+
+        const changes = activationChanges(found, now);
+        const next = { ...found, ...changes };
+        return {
+            status: 200,
+            changes,
+            log: 'Key validada com sucesso',
+            body: {
+                valid: true,
+                message: "Key válida!",
+                usedAt: new Date(next.usedAt).toISOString(),
+                ...expiryInfo(next, now)
+            }
+        };
+    }
+
+    // Mesma identidade revalidando (re-execução do script)
+    const bindingIndex = boundTo.findIndex(b => identityMatches(b, identity));
+
+    if (bindingIndex !== -1) {
+        const binding = boundTo[bindingIndex];
+        // Depois de um reset pelo próprio jogador o primeiro HWID enviado volta a ser fixado
+        const rebind = binding.hwidResetAt && !binding.hwid && identity.hwid
+            ? { hwid: identity.hwid, hwidResetAt: undefined }
+            : {};
+        const updatedBoundTo = boundTo.map((b, i) => (i === bindingIndex ? { ...b, ...rebind, lastSeenAt: now } : b));
+        return {
+            status: 200,
+            changes: { boundTo: updatedBoundTo },
+            log: 'Key revalidada',
+            body: {
+                valid: true,
+                message: "Key válida!",
+                usedAt: new Date(found.usedAt).toISOString(),
+                boundAt: new Date(binding.boundAt).toISOString(),
+                ...expiryInfo(found, now)
+            }
+        };
+    }
+
+    // Key usada sem vínculo (validação antiga) ou limite de identidades atingido.
+    // Depois de um reset de HWID a lista vazia é esperada e libera um novo vínculo,
+    // assim como em keys importadas já usadas no sistema de origem.
+    const maxIdentities = found.maxIdentities || MAX_IDENTITIES_PER_KEY;
+    const legacyUsed = found.used && boundTo.length === 0
+        && !(found.resets || []).length && found.source !== 'import';
+
+    if (legacyUsed || boundTo.length >= maxIdentities) {
+        return {
+            status: 403,
+            reason: 'bound_to_other',
+            log: 'Key vinculada a outro usuário',
+            body: { valid: false, message: "Key vinculada a outro usuário" }
+        };
+    }
+
+    // Primeiro uso por esta identidade: vincular
+    const changes = {
+        boundTo: [...boundTo, { ...identity, boundAt: now, lastSeenAt: now }],
+        maxIdentities,
+        ...(found.used ? {} : activationChanges(found, now))
+    };
+    const next = { ...found, ...changes };
+
+    return {
+        status: 200,
+        changes,
+        log: 'Key validada e vinculada com sucesso',
+        body: {
+            valid: true,
+            message: "Key válida!",
+            usedAt: new Date(next.usedAt).toISOString(),
+            boundAt: new Date(now).toISOString(),
+            ...expiryInfo(next, now)
+        }
+    };
+}
+
+// Regras de reset de HWID do projeto (campos omitidos usam o .env)
+function getResetRules(project = {}) {
+    return {
+        limit: project.hwidResetLimit ?? HWID_RESET_LIMIT,
+        periodMs: (project.hwidResetPeriodHours || HWID_RESET_PERIOD_HOURS) * HOUR_MS,
+        cooldownMs: (project.hwidResetCooldownHours ?? HWID_RESET_COOLDOWN_HOURS) * HOUR_MS
+    };
+}
+
+// Quando o jogador pode resetar de novo (intervalo e limite do período); 0 = já pode
+function nextSelfResetAt(selfResets, rules) {
+    const last = selfResets[selfResets.length - 1];
+    const cooldownEnds = last ? last.at + rules.cooldownMs : 0;
+    const limitEnds = rules.limit > 0 && selfResets.length >= rules.limit
+        ? selfResets[selfResets.length - rules.limit].at + rules.periodMs
+        : 0;
+    return { cooldownEnds, limitEnds, nextResetAt: Math.max(cooldownEnds, limitEnds) };
+}
+
+// Decide um reset de vínculos (userId/HWID) da key, no mesmo formato do
+// evaluateValidation. by: quem pediu (self, discord, admin); override ignora
+// limite e intervalo (staff) e não conta no limite. O histórico fica em resets.
+// Com userId só o HWID dos vínculos desse userId é liberado (o userId continua
+// vinculado), então quem tem só a key não consegue tomar o vínculo de outro.
+// Keys vinculadas só por HWID não têm como provar o dono assim: o reset fica
+// com o Discord (/resethwid de quem resgatou a key) ou com a staff.
+function evaluateReset(found, { by = 'self', actor, override = false, userId, rules = getResetRules() } = {}, now = Date.now()) {
+    const deny = (status, reason, message, extra = {}) => ({
+        status,
+        reason,
+        log: `Reset de HWID recusado (${reason})`,
+        body: { success: false, error: message, ...extra }
+    });
+
+    if (found.revoked) return deny(403, 'revoked', "Key revogada");
+    if (isExpired(found, now)) return deny(403, 'expired', "Key expirada");
+    if (!found.boundTo || found.boundTo.length === 0) {
+        return deny(400, 'not_bound', "Key não está vinculada a nenhum dispositivo");
+    }
+
+    const owned = userId === undefined ? found.boundTo : found.boundTo.filter(bound => bound.userId === userId);
+    if (owned.length === 0) {
+        return deny(403, 'not_owner', found.boundTo.some(bound => bound.userId)
+            ? "Key não está vinculada a este userId"
+            : "Key vinculada só por HWID: peça o reset pelo /resethwid do Discord ou à staff");
+    }
+    if (!owned.some(bound => bound.hwid)) {
+        return deny(400, 'not_bound', "Nenhum HWID vinculado a este userId");
+    }
+
+    const history = found.resets || [];
+    const selfResets = history.filter(reset => !reset.override && reset.at > now - rules.periodMs);
+
+    if (!override) {
+        if (rules.limit === 0) return deny(403, 'disabled', "Reset de HWID desativado para este projeto");
+
+        const { limitEnds, nextResetAt } = nextSelfResetAt(selfResets, rules);
+        if (nextResetAt > now) {
+            const reason = limitEnds > now ? 'limit' : 'cooldown';
+            return deny(429, reason, reason === 'limit'
+                ? `Limite de ${rules.limit} reset(s) no período atingido`
+                : "Aguarde para resetar de novo", {
+                nextResetAt: new Date(nextResetAt).toISOString(),
+                retryAfterSeconds: Math.ceil((nextResetAt - now) / 1000)
+            });
+        }
+    }
+
+    const reset = { at: now, by, actor: actor || undefined, override: override || undefined, boundTo: owned };
+    const counted = override ? selfResets : [...selfResets, reset];
+    const { nextResetAt } = nextSelfResetAt(counted, rules);
+
+    return {
+        status: 200,
+        changes: {
+            boundTo: userId === undefined
+                ? []
+                : found.boundTo.map(bound => (bound.userId === userId ? { ...bound, hwid: undefined, hwidResetAt: now } : bound)),
+            resets: [...history, reset].slice(-MAX_RESET_HISTORY)
+        },
+        log: `HWID resetado (${by}${override ? ', sem limite' : ''})`,
+        body: {
+            success: true,
+            message: userId === undefined
+                ? "HWID resetado. A key pode ser usada em outro dispositivo."
+                : "HWID resetado. A key pode ser usada em outro dispositivo com o mesmo userId.",
+            resetsRemaining: Math.max(0, rules.limit - counted.length),
+            nextResetAt: nextResetAt > now ? new Date(nextResetAt).toISOString() : null
+        }
+    };
+}
+
+module.exports = {
+    MAX_IDENTITIES_PER_KEY,
+    HOUR_MS,
+    KEY_TTL_HOURS,
+    SESSION_KEY_HOURS,
+    KEY_TYPES,
+    KEY_STATUSES,
+    KEY_TIERS,
+    generateKey,
+    buildKeyObject,
+    createKey,
+    parseIdentity,
+    identityMatches,
+    getExpiresAt,
+    isExpired,
+    getRemainingSeconds,
+    activationChanges,
+    getKeyStatus,
+    getKeyTier,
+    expiryInfo,
+    evaluateValidation,
+    getResetRules,
+    evaluateReset
+};
@@ -0,0 +1,405 @@
+// Gerador do loader Lua de um projeto: interface para digitar a key, chamada
+// ao /validar pelo request do executor, key salva em arquivo para a próxima
+// execução, conferência da assinatura HMAC da resposta e link "obter key".
+// O texto assinado segue Signer.canonical (lib/signing.js).
+
+// Literal de string Lua (texto ou Buffer); bytes fora do ASCII visível viram \ddd (vale em Lua 5.1 e Luau)
+function luaString(value) {
+    let result = '"';
+    for (const byte of Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'utf8')) {
+        const char = String.fromCharCode(byte);
+        if (char === '"' || char === '\\') result += '\\' + char;
+        else if (byte >= 32 && byte < 127) result += char;
+        // Sempre 3 dígitos, senão um número logo depois viraria parte do escape
+        else result += '\\' + String(byte).padStart(3, '0');
+    }
+    return result + '"';
+}
+
+// SHA-256/HMAC em Lua puro (bit32), usados para conferir a assinatura
+const LUA_HMAC = `
+local bit = bit32
+local band, bxor, bnot, rshift, rrotate = bit.band, bit.bxor, bit.bnot, bit.rshift, bit.rrotate
+local MOD = 4294967296
+local K = {
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+}
+
+local function sha256(message)
+    local H = { 0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19 }
+    local bitLength = #message * 8
+    local lengthBytes = {}
+    for i = 7, 0, -1 do
+        lengthBytes[#lengthBytes + 1] = string.char(math.floor(bitLength / 2 ^ (8 * i)) % 256)
+    end
+    message = message .. "\\128" .. string.rep("\\0", (55 - #message) % 64) .. table.concat(lengthBytes)
+
+    for chunk = 1, #message, 64 do
+        local w = {}
+        for i = 0, 15 do
+            local b1, b2, b3, b4 = string.byte(message, chunk + i * 4, chunk + i * 4 + 3)
+            w[i] = ((b1 * 256 + b2) * 256 + b3) * 256 + b4
+        end
+        for i = 16, 63 do
+            local s0 = bxor(rrotate(w[i - 15], 7), rrotate(w[i - 15], 18), rshift(w[i - 15], 3))
+            local s1 = bxor(rrotate(w[i - 2], 17), rrotate(w[i - 2], 19), rshift(w[i - 2], 10))
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) % MOD
+        end
+
+        local a, b, c, d, e, f, g, h = H[1], H[2], H[3], H[4], H[5], H[6], H[7], H[8]
+        for i = 0, 63 do
+            local S1 = bxor(rrotate(e, 6), rrotate(e, 11), rrotate(e, 25))
+            local ch = bxor(band(e, f), band(bnot(e), g))
+            local t1 = (h + S1 + ch + K[i + 1] + w[i]) % MOD
+            local S0 = bxor(rrotate(a, 2), rrotate(a, 13), rrotate(a, 22))
+            local maj = bxor(band(a, b), band(a, c), band(b, c))
+            local t2 = (S0 + maj) % MOD
+            h, g, f, e, d, c, b, a = g, f, e, (d + t1) % MOD, c, b, a, (t1 + t2) % MOD
+        end
+
+        H[1], H[2], H[3], H[4] = (H[1] + a) % MOD, (H[2] + b) % MOD, (H[3] + c) % MOD, (H[4] + d) % MOD
+        H[5], H[6], H[7], H[8] = (H[5] + e) % MOD, (H[6] + f) % MOD, (H[7] + g) % MOD, (H[8] + h) % MOD
+    end
+
+    local digest = {}
+    for i = 1, 8 do
+        local word = H[i]
+        digest[i] = string.char(rshift(word, 24), band(rshift(word, 16), 255), band(rshift(word, 8), 255), band(word, 255))
+    end
+    return table.concat(digest)
+end
+
+local function hmacSha256Hex(secret, message)
+    if #secret > 64 then secret = sha256(secret) end
+    secret = secret .. string.rep("\\0", 64 - #secret)
+    local inner, outer = {}, {}
+    for i = 1, 64 do
+        local byte = string.byte(secret, i)
+        inner[i] = string.char(bxor(byte, 0x36))
+        outer[i] = string.char(bxor(byte, 0x5c))
+    end
+    local digest = sha256(table.concat(outer) .. sha256(table.concat(inner) .. message))
+    return (digest:gsub(".", function(char) return string.format("%02x", string.byte(char)) end))
+end
+`;
+
+// Heartbeats seguidos sem resposta válida (rede, limite, assinatura) antes de
+// o loader encerrar o script: bloquear o /heartbeat não mantém a key viva
+const HEARTBEAT_MAX_FAILURES = parseInt(process.env.HEARTBEAT_MAX_FAILURES, 10) || 3;
+
+// Monta o loader. signingKey: { kid, secret } HMAC embutido no loader (ou null
+// para não conferir assinatura); scriptUrl: script carregado após validar
+// quando o projeto não tem script protegido no servidor.
+function buildLoader({ baseUrl, project, signingKey = null, scriptUrl = null }) {
+    const config = [
+        `    BASE_URL = ${luaString(baseUrl)},`,
+        `    PROJECT = ${luaString(project.id)},`,
+        `    PROJECT_NAME = ${luaString(project.name || project.id)},`,
+        `    GET_KEY_URL = ${luaString(`${baseUrl}/getkey?project=${encodeURIComponent(project.id)}`)},`,
+        `    KEY_FILE = ${luaString(`keysystem_${project.id}.txt`)},`,
+        `    KEY_PLACEHOLDER = ${luaString(project.keyPrefix ? `${project.keyPrefix}-XXXX-XXXX-...` : 'XXXX-XXXX-XXXX-...')},`,
+        `    SCRIPT_URL = ${scriptUrl ? luaString(scriptUrl) : 'nil'},`,
+        `    HEARTBEAT_MAX_FAILURES = ${HEARTBEAT_MAX_FAILURES},`,
+        `    SIGNING_KID = ${signingKey ? luaString(signingKey.kid) : 'nil'},`,
+        `    SIGNING_SECRET = ${signingKey ? luaString(signingKey.secret) : 'nil'}`
+    ].join('\n');
+
+    return `-- Loader do KeySystem para o projeto ${project.name || project.id} (gerado pelo servidor)
+-- Cole no executor; a key validada fica salva em CONFIG.KEY_FILE para a próxima execução.
+
+local CONFIG = {
+${config}
+}
+
+local HttpService = game:GetService("HttpService")
+local Players = game:GetService("Players")
+local player = Players.LocalPlayer
+${signingKey ? LUA_HMAC : ''}
+-- request do executor (synapse, fluxus, krnl...) com HttpService como último recurso
+local httpRequest = (syn and syn.request) or (http and http.request) or http_request or request
+    or (fluxus and fluxus.request)
+    or function(options)
+        local response = HttpService:RequestAsync(options)
+        return { StatusCode = response.StatusCode, Body = response.Body }
+    end
+
+local function getHwid()
+    if gethwid then
+        local ok, hwid = pcall(gethwid)
+        if ok and hwid then return tostring(hwid) end
+    end
+    local ok, clientId = pcall(function()
+        return game:GetService("RbxAnalyticsService"):GetClientId()
+    end)
+    return ok and clientId or nil
+end
+
+local function randomNonce()
+    local chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789"
+    local nonce = {}
+    for i = 1, 32 do
+        local index = math.random(1, #chars)
+        nonce[i] = chars:sub(index, index)
+    end
+    return table.concat(nonce)
+end
+
+local function readSavedKey()
+    if isfile and readfile and isfile(CONFIG.KEY_FILE) then
+        local ok, key = pcall(readfile, CONFIG.KEY_FILE)
+        if ok and key and key ~= "" then return key end
+    end
+    return nil
+end
+
+local function saveKey(key)
+    if writefile then pcall(writefile, CONFIG.KEY_FILE, key) end
+end
+
+local function forgetKey()
+    if delfile and isfile and isfile(CONFIG.KEY_FILE) then pcall(delfile, CONFIG.KEY_FILE) end
+end
+
+-- A resposta válida precisa vir assinada com o nonce desta chamada (o tier faz parte do texto)
+local function checkSignature(data, fields)
+    if not CONFIG.SIGNING_SECRET then return true end
+    local signature = data.signature
+    if type(signature) ~= "table" or signature.kid ~= CONFIG.SIGNING_KID then return false end
+    if type(signature.payload) ~= "string" or type(data.tier) ~= "string" then return false end
+
+    local expected = table.concat({ "v2", "1", fields.key, fields.nonce, fields.userId, fields.hwid or "", data.tier }, "|") .. "|"
+    if signature.payload:sub(1, #expected) ~= expected then return false end
+
+    return hmacSha256Hex(CONFIG.SIGNING_SECRET, signature.payload) == signature.value
+end
+
+-- Retorna ok, mensagem
+local function validateKey(key)
+    local fields = {
+        key = key,
+        nonce = randomNonce(),
+        userId = tostring(player.UserId),
+        hwid = getHwid()
+    }
+    local body = {
+        key = fields.key,
+        project = CONFIG.PROJECT,
+        userId = fields.userId,
+        hwid = fields.hwid,
+        nonce = fields.nonce,
+        kid = CONFIG.SIGNING_KID,
+        signatureVersion = "v2"
+    }
+
+    local ok, response = pcall(httpRequest, {
+        Url = CONFIG.BASE_URL .. "/validar",
+        Method = "POST",
+        Headers = { ["Content-Type"] = "application/json" },
+        Body = HttpService:JSONEncode(body)
+    })
+    if not ok or not response then
+        return false, "Não foi possível conectar ao servidor"
+    end
+
+    local decoded, data = pcall(HttpService.JSONDecode, HttpService, response.Body or "")
+    if not decoded or type(data) ~= "table" then
+        return false, "Resposta inválida do servidor"
+    end
+
+    if data.valid ~= true then
+        return false, data.message or "Key inválida"
+    end
+    if not checkSignature(data, fields) then
+        return false, "Assinatura da resposta inválida"
+    end
+
+    return true, data.message or "Key válida!", data
+end
+
+-- Heartbeat da sessão aberta pelo /validar: a cada data.heartbeatSeconds o
+-- servidor confirma que a key ainda vale. Revogada, expirada, bloqueada ou sem
+-- vínculo: o jogador é expulso. Sessão encerrada (timeout ou admin): valida de novo.
+-- A resposta ativa vem assinada sobre o nonce do heartbeat (com o sessionId no
+-- lugar da key); CONFIG.HEARTBEAT_MAX_FAILURES falhas seguidas também encerram.
+local STOP_STATUSES = { revoked = true, expired = true, blacklisted = true, unbound = true }
+
+local function startHeartbeat(key, data)
+    if not data or type(data.sessionId) ~= "string" then return end
+    local sessionId = data.sessionId
+    local interval = tonumber(data.heartbeatSeconds) or 60
+    local failures = 0
+
+    local function stop(message)
+        forgetKey()
+        player:Kick("🔑 " .. CONFIG.PROJECT_NAME .. ": " .. (message or "Sessão encerrada"))
+    end
+
+    task.spawn(function()
+        while true do
+            task.wait(interval)
+            local fields = {
+                key = sessionId,
+                nonce = randomNonce(),
+                userId = tostring(player.UserId),
+                hwid = getHwid()
+            }
+            local ok, response = pcall(httpRequest, {
+                Url = CONFIG.BASE_URL .. "/heartbeat",
+                Method = "POST",
+                Headers = { ["Content-Type"] = "application/json" },
+                Body = HttpService:JSONEncode({ sessionId = sessionId, nonce = fields.nonce, kid = CONFIG.SIGNING_KID })
+            })
+            local decoded, result = false, nil
+            if ok and response then
+                decoded, result = pcall(HttpService.JSONDecode, HttpService, response.Body or "")
+            end
+            if not decoded or type(result) ~= "table" then result = {} end
+
+            if result.valid == true and checkSignature(result, fields) then
+                failures = 0
+            elseif STOP_STATUSES[result.status] then
+                return stop(result.message)
+            elseif result.status == "ended" then
+                local valid, message, fresh = validateKey(key)
+                if not valid or not fresh.sessionId then return stop(message) end
+                sessionId = fresh.sessionId
+                failures = 0
+            else
+                -- Falha de rede, limite de requisições ou assinatura inválida
+                failures = failures + 1
+                if failures >= CONFIG.HEARTBEAT_MAX_FAILURES then
+                    return stop("Não foi possível confirmar a key com o servidor")
+                end
+            end
+        end
+    end)
+end
+
+-- Script protegido do servidor (link de uso único do /validar) ou CONFIG.SCRIPT_URL
+local function runScript(data)
+    local url = (data and data.scriptUrl) or CONFIG.SCRIPT_URL
+    if url then
+        loadstring(game:HttpGet(url))()
+    end
+end
+
+-- Interface para digitar a key
+local function showKeyUi()
+    local gui = Instance.new("ScreenGui")
+    gui.Name = "KeySystem"
+    gui.ResetOnSpawn = false
+    gui.Parent = (gethui and gethui()) or game:GetService("CoreGui")
+
+    local frame = Instance.new("Frame")
+    frame.Size = UDim2.new(0, 360, 0, 190)
+    frame.Position = UDim2.new(0.5, -180, 0.5, -95)
+    frame.BackgroundColor3 = Color3.fromRGB(30, 30, 30)
+    frame.BorderSizePixel = 0
+    frame.Active = true
+    frame.Draggable = true
+    frame.Parent = gui
+    Instance.new("UICorner", frame).CornerRadius = UDim.new(0, 10)
+
+    local title = Instance.new("TextLabel")
+    title.Size = UDim2.new(1, 0, 0, 36)
+    title.BackgroundTransparency = 1
+    title.Text = "🔑 " .. CONFIG.PROJECT_NAME
+    title.TextColor3 = Color3.new(1, 1, 1)
+    title.Font = Enum.Font.GothamBold
+    title.TextSize = 18
+    title.Parent = frame
+
+    local input = Instance.new("TextBox")
+    input.Size = UDim2.new(1, -30, 0, 36)
+    input.Position = UDim2.new(0, 15, 0, 44)
+    input.BackgroundColor3 = Color3.fromRGB(45, 45, 45)
+    input.TextColor3 = Color3.new(1, 1, 1)
+    input.PlaceholderText = CONFIG.KEY_PLACEHOLDER
+    input.Text = ""
+    input.ClearTextOnFocus = false
+    input.Font = Enum.Font.Code
+    input.TextSize = 14
+    input.Parent = frame
+    Instance.new("UICorner", input).CornerRadius = UDim.new(0, 6)
+
+    local function button(text, x)
+        local btn = Instance.new("TextButton")
+        btn.Size = UDim2.new(0.5, -22, 0, 34)
+        btn.Position = UDim2.new(x, x == 0 and 15 or 7, 0, 92)
+        btn.BackgroundColor3 = Color3.fromRGB(60, 60, 60)
+        btn.TextColor3 = Color3.new(1, 1, 1)
+        btn.Font = Enum.Font.GothamBold
+        btn.TextSize = 14
+        btn.Text = text
+        btn.Parent = frame
+        Instance.new("UICorner", btn).CornerRadius = UDim.new(0, 6)
+        return btn
+    end
+
+    local verifyButton = button("Verificar", 0)
+    local getKeyButton = button("Obter key", 0.5)
+
+    local status = Instance.new("TextLabel")
+    status.Size = UDim2.new(1, -30, 0, 40)
+    status.Position = UDim2.new(0, 15, 0, 136)
+    status.BackgroundTransparency = 1
+    status.TextColor3 = Color3.fromRGB(200, 200, 200)
+    status.TextWrapped = true
+    status.Font = Enum.Font.Gotham
+    status.TextSize = 13
+    status.Text = ""
+    status.Parent = frame
+
+    getKeyButton.MouseButton1Click:Connect(function()
+        if setclipboard then
+            setclipboard(CONFIG.GET_KEY_URL)
+            status.Text = "Link copiado! Abra no navegador para obter sua key."
+        else
+            status.Text = CONFIG.GET_KEY_URL
+        end
+    end)
+
+    local busy = false
+    verifyButton.MouseButton1Click:Connect(function()
+        local key = input.Text:gsub("^%s+", ""):gsub("%s+$", "")
+        if busy or key == "" then return end
+        busy = true
+        status.Text = "Verificando..."
+
+        local valid, message, data = validateKey(key)
+        busy = false
+        status.Text = message
+        if valid then
+            saveKey(key)
+            task.wait(0.5)
+            gui:Destroy()
+            startHeartbeat(key, data)
+            runScript(data)
+        end
+    end)
+end
+
+-- Key salva de uma execução anterior é conferida sem abrir a interface
+local savedKey = readSavedKey()
+if savedKey then
+    local valid, _, data = validateKey(savedKey)
+    if valid then
+        startHeartbeat(savedKey, data)
+        runScript(data)
+        return
+    end
+    forgetKey()
+end
+
+showKeyUi()
+`;
+}
+
+module.exports = { buildLoader, luaString };
@@ -0,0 +1,175 @@
+// Métricas no formato texto do Prometheus (GET /metrics), sem dependências.
+// Os contadores vivem em memória e zeram ao reiniciar, como espera o Prometheus.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Chave estável para um conjunto de labels (ordem dos nomes definida na métrica)
+function labelKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+class Metric {
+    constructor({ name, help, labelNames = [] }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    labelsFor(labels) {
+        const result = {};
+        for (const name of this.labelNames) result[name] = labels[name] ?? '';
+        return result;
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    get type() { return 'counter'; }
+
+    inc(labels = {}, value = 1) {
+        const key = labelKey(this.labelNames, labels);
+        const current = this.series.get(key) || { labels: this.labelsFor(labels), value: 0 };
+        current.value += value;
+        this.series.set(key, current);
+    }
+
+    render() {
+        return [
+            ...this.header(),
+            ...[...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`)
+        ];
+    }
+}
+
+// Gauge calculado na hora da coleta: collect() devolve [{ labels, value }]
+class Gauge extends Metric {
+    constructor(options) {
+        super(options);
+        this.collect = options.collect;
+    }
+
+    get type() { return 'gauge'; }
+
+    async render() {
+        const samples = await this.collect();
+        return [
+            ...this.header(),
+            ...samples.map(({ labels = {}, value }) => `${this.name}${formatLabels(this.labelsFor(labels))} ${value}`)
+        ];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super(options);
+        this.buckets = options.buckets || DEFAULT_BUCKETS;
+    }
+
+    get type() { return 'histogram'; }
+
+    observe(labels = {}, seconds) {
+        const key = labelKey(this.labelNames, labels);
+        let current = this.series.get(key);
+        if (!current) {
+            current = { labels: this.labelsFor(labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.series.set(key, current);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (seconds <= bound) current.counts[i]++;
+        });
+        current.sum += seconds;
+        current.count++;
+    }
+
+    // Cronômetro: const end = histogram.startTimer(); ...; end({ labels })
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extra = {}) => {
+            this.observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(options) { return this.register(new Counter(options)); }
+    gauge(options) { return this.register(new Gauge(options)); }
+    histogram(options) { return this.register(new Histogram(options)); }
+
+    async render() {
+        const blocks = [];
+        for (const metric of this.metrics) {
+            blocks.push((await metric.render()).join('\n'));
+        }
+        return blocks.join('\n') + '\n';
+    }
+}
+
+// Registro único do processo, usado por server.js, lib/keys e lib/shorteners
+const registry = new Registry();
+
+const metrics = {
+    keysGenerated: registry.counter({
+        name: 'keysystem_keys_generated_total',
+        help: 'Keys geradas, por projeto e origem (api, checkpoint, discord, premium)',
+        labelNames: ['project', 'source']
+    }),
+    validations: registry.counter({
+        name: 'keysystem_validations_total',
+        help: 'Resultados do /validar (valid, not_found, used, expired, revoked, ...)',
+        labelNames: ['project', 'outcome']
+    }),
+    shortenerDuration: registry.histogram({
+        name: 'keysystem_shortener_request_duration_seconds',
+        help: 'Latência das chamadas aos encurtadores (Monetizzy e demais)',
+        labelNames: ['provider', 'result'],
+        buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]
+    }),
+    shortenerErrors: registry.counter({
+        name: 'keysystem_shortener_errors_total',
+        help: 'Falhas dos encurtadores, por provedor',
+        labelNames: ['provider']
+    }),
+    httpDuration: registry.histogram({
+        name: 'keysystem_http_request_duration_seconds',
+        help: 'Duração das requisições HTTP por rota',
+        labelNames: ['method', 'route', 'status']
+    })
+};
+
+module.exports = { registry, metrics, Registry };
@@ -0,0 +1,122 @@
+// Páginas HTML simples para o jogador (mesmo visual das páginas do server.js)
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// content já deve vir escapado por quem chama
+function renderPage({ title, heading, content }) {
+    return `
+    <!DOCTYPE html>
+    <html lang="pt-BR">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>${escapeHtml(title)}</title>
+        <style>
+            * {
+                margin: 0;
+                padding: 0;
+                box-sizing: border-box;
+            }
+            
+            body {
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+                background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 100%);
+                color: #ffffff;
+                min-height: 100vh;
+                display: flex;
+                flex-direction: column;
+                align-items: center;
+                justify-content: center;
+                padding: 20px;
+            }
+            
+            .container {
+                background: rgba(255, 255, 255, 0.05);
+                border: 1px solid rgba(255, 255, 255, 0.1);
+                border-radius: 20px;
+                padding: 40px;
+                max-width: 500px;
+                width: 100%;
+                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
+                text-align: center;
+            }
+            
+            .logo {
+                font-size: 2rem;
+                font-weight: bold;
+                margin-bottom: 20px;
+            }
+            
+            p {
+                color: #cccccc;
+                margin-bottom: 15px;
+            }
+            
+            .key-display {
+                background: rgba(0, 0, 0, 0.3);
+                padding: 15px;
+                border-radius: 8px;
+                margin: 10px 0;
+                font-family: 'Courier New', monospace;
+                font-size: 1.1rem;
+                word-break: break-all;
+                border: 1px solid rgba(255, 255, 255, 0.1);
+            }
+            
+            .btn {
+                display: inline-block;
+                width: 100%;
+                padding: 15px;
+                background: linear-gradient(45deg, #333, #555);
+                border: 1px solid rgba(255, 255, 255, 0.2);
+                border-radius: 10px;
+                color: #ffffff;
+                font-size: 16px;
+                font-weight: bold;
+                cursor: pointer;
+                text-decoration: none;
+                margin-top: 10px;
+            }
+            
+            .btn:disabled {
+                opacity: 0.6;
+                cursor: not-allowed;
+            }
+            
+            .error {
+                color: #ff6b6b;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="logo">${escapeHtml(heading || title)}</div>
+            ${content}
+        </div>
+    </body>
+    </html>`;
+}
+
+// URL pública do servidor (PUBLIC_URL ou o host da requisição)
+function getBaseUrl(req) {
+    return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+}
+
+// Validar URL; protocols restringe os esquemas aceitos (ex.: ['http:', 'https:'])
+function isValidUrl(string, protocols = null) {
+    try {
+        const url = new URL(string);
+        return !protocols || protocols.includes(url.protocol);
+    } catch (_) {
+        return false;
+    }
+}
+
+module.exports = { escapeHtml, renderPage, getBaseUrl, isValidUrl };
@@ -0,0 +1,194 @@
+// Projetos: cada script Roblox tem seu próprio prefixo de key, regras de
+// duração, encurtador, segredos de assinatura e estatísticas.
+// Keys sem campo project pertencem ao projeto "default", que existe mesmo
+// sem estar cadastrado (usa as configurações do .env).
+const { KEY_TYPES, getKeyStatus } = require('./keys');
+const { Signer } = require('./signing');
+const { validateShortenerChain } = require('./shorteners');
+const { validateKeyFormat, normalizeKey, normalizeImportedKey } = require('./keyFormat');
+
+const DEFAULT_PROJECT_ID = 'default';
+const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,31}$/;
+const KEY_PREFIX_PATTERN = /^[A-Za-z0-9]{0,12}$/;
+
+function defaultProject() {
+    return {
+        id: DEFAULT_PROJECT_ID,
+        name: 'Padrão',
+        keyPrefix: KEY_PREFIX_PATTERN.test(process.env.KEY_PREFIX || '') ? (process.env.KEY_PREFIX || '').toUpperCase() : '',
+        builtIn: true
+    };
+}
+
+// Projeto cadastrado ou o padrão; null se não existir
+async function resolveProject(services, id) {
+    const projectId = id || DEFAULT_PROJECT_ID;
+    const project = await services.projects.get(projectId);
+    if (project) return project;
+    return projectId === DEFAULT_PROJECT_ID ? defaultProject() : null;
+}
+
+function getKeyProject(keyObj) {
+    return keyObj.project || DEFAULT_PROJECT_ID;
+}
+
+function keyBelongsTo(keyObj, projectId) {
+    return getKeyProject(keyObj) === (projectId || DEFAULT_PROJECT_ID);
+}
+
+// Forma gravada da key digitada. Projetos com acceptImportedKeys também
+// aceitam keys migradas de outro sistema, que não têm o nosso checksum.
+function normalizeProjectKey(input, project) {
+    return normalizeKey(input) || (project?.acceptImportedKeys ? normalizeImportedKey(input) : null);
+}
+
+// Signer do projeto; sem segredos próprios usa o global
+function getProjectSigner(project, fallback) {
+    if (!project.signingSecrets || project.signingSecrets.length === 0) return fallback;
+    return new Signer(new Map(project.signingSecrets.map(({ kid, secret }) => [
+        kid,
+        { kid, alg: 'hmac-sha256', secret }
+    ])));
+}
+
+// Esconde segredos e tokens nas respostas da API admin
+function publicProject(project) {
+    const { signingSecrets, shortener, shorteners, ...rest } = project;
+    const chain = shorteners || (shortener ? [{ provider: 'monetizzy', ...shortener }] : undefined);
+    return {
+        ...rest,
+        shorteners: chain && chain.map(settings => ({ ...settings, token: settings.token ? '***' : undefined })),
+        signingKids: (signingSecrets || []).map(s => s.kid)
+    };
+}
+
+const positive = value => typeof value === 'number' && value > 0;
+
+// Valida os campos editáveis; retorna { error } ou { changes }
+function buildProjectChanges(body, { creating = false } = {}) {
+    const changes = {};
+
+    if (creating) {
+        if (typeof body.id !== 'string' || !PROJECT_ID_PATTERN.test(body.id)) {
+            return { error: "id deve ter 2 a 32 caracteres (a-z, 0-9 e -)" };
+        }
+        changes.id = body.id;
+    }
+
+    if (body.name !== undefined || creating) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return { error: "Nome é obrigatório" };
+        changes.name = body.name.trim();
+    }
+
+    if (body.keyPrefix !== undefined) {
+        if (typeof body.keyPrefix !== 'string' || !KEY_PREFIX_PATTERN.test(body.keyPrefix)) {
+            return { error: "keyPrefix deve ter até 12 caracteres alfanuméricos" };
+        }
+        changes.keyPrefix = body.keyPrefix.toUpperCase();
+    }
+
+    // Alfabeto, comprimento e agrupamento das novas keys (campos omitidos usam o .env)
+    if (body.keyFormat !== undefined) {
+        const error = validateKeyFormat(body.keyFormat);
+        if (error) return { error };
+        // Só os campos informados: os omitidos seguem o .env (undefined sumiria ao gravar)
+        changes.keyFormat = {};
+        for (const field of ['alphabet', 'length', 'groupSize']) {
+            if (body.keyFormat[field] !== undefined) changes.keyFormat[field] = body.keyFormat[field];
+        }
+    }
+
+    if (body.defaultKeyType !== undefined) {
+        if (!KEY_TYPES.includes(body.defaultKeyType)) {
+            return { error: `defaultKeyType inválido (use: ${KEY_TYPES.join(', ')})` };
+        }
+        changes.defaultKeyType = body.defaultKeyType;
+    }
+
+    for (const field of ['keyTtlHours', 'sessionKeyHours']) {
+        if (body[field] !== undefined) {
+            if (!positive(body[field])) return { error: `${field} deve ser um número maior que zero` };
+            changes[field] = body[field];
+        }
+    }
+
+    for (const field of ['maxIdentities', 'checkpointSteps']) {
+        if (body[field] !== undefined) {
+            if (!Number.isInteger(body[field]) || body[field] < 1) {
+                return { error: `${field} deve ser um inteiro maior que zero` };
+            }
+            changes[field] = body[field];
+        }
+    }
+
+    // Reset de HWID pelo jogador: resets por período (0 desativa) e intervalo mínimo
+    if (body.hwidResetLimit !== undefined) {
+        if (!Number.isInteger(body.hwidResetLimit) || body.hwidResetLimit < 0) {
+            return { error: "hwidResetLimit deve ser um inteiro maior ou igual a zero" };
+        }
+        changes.hwidResetLimit = body.hwidResetLimit;
+    }
+
+    if (body.hwidResetPeriodHours !== undefined) {
+        if (!positive(body.hwidResetPeriodHours)) return { error: "hwidResetPeriodHours deve ser um número maior que zero" };
+        changes.hwidResetPeriodHours = body.hwidResetPeriodHours;
+    }
+
+    if (body.hwidResetCooldownHours !== undefined) {
+        if (typeof body.hwidResetCooldownHours !== 'number' || !(body.hwidResetCooldownHours >= 0)) {
+            return { error: "hwidResetCooldownHours deve ser um número maior ou igual a zero" };
+        }
+        changes.hwidResetCooldownHours = body.hwidResetCooldownHours;
+    }
+
+    // Aceitar keys importadas de outro sistema (sem checksum) no /validar
+    if (body.acceptImportedKeys !== undefined) {
+        if (typeof body.acceptImportedKeys !== 'boolean') {
+            return { error: "acceptImportedKeys deve ser true ou false" };
+        }
+        changes.acceptImportedKeys = body.acceptImportedKeys;
+    }
+
+    // Lista ordenada de encurtadores (o segundo em diante é usado em caso de falha)
+    if (body.shorteners !== undefined) {
+        const error = validateShortenerChain(body.shorteners);
+        if (error) return { error };
+        changes.shorteners = body.shorteners;
+        changes.shortener = undefined;
+    }
+
+    if (body.signingSecrets !== undefined) {
+        const list = body.signingSecrets;
+        const valid = Array.isArray(list) && list.every(s => (
+            s && typeof s.kid === 'string' && s.kid && typeof s.secret === 'string' && s.secret.length >= 16
+        ));
+        if (!valid) return { error: "signingSecrets deve ser uma lista de { kid, secret } (secret com 16+ caracteres)" };
+        changes.signingSecrets = list.map(({ kid, secret }) => ({ kid, secret }));
+    }
+
+    return { changes };
+}
+
+// Contagem das keys do projeto por situação
+function projectStats(keys, projectId, now = Date.now()) {
+    const stats = { total: 0, available: 0, used: 0, expired: 0, revoked: 0 };
+    for (const keyObj of keys) {
+        if (!keyBelongsTo(keyObj, projectId)) continue;
+        stats.total++;
+        stats[getKeyStatus(keyObj, now)]++;
+    }
+    return stats;
+}
+
+module.exports = {
+    DEFAULT_PROJECT_ID,
+    defaultProject,
+    resolveProject,
+    getKeyProject,
+    keyBelongsTo,
+    normalizeProjectKey,
+    getProjectSigner,
+    publicProject,
+    buildProjectChanges,
+    projectStats
+};
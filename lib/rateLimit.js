@@ -0,0 +1,194 @@
+// Rate limiting por IP e por identidade, com banimento temporário após
+// muitas keys inválidas. O contador fica em memória por padrão; com
+// RATE_LIMIT_STORE=storage ele usa uma coleção do armazenamento
+// (sobrevive a reinícios e pode ser compartilhado entre processos com SQLite).
+
+const seconds = (name, fallback) => (parseFloat(process.env[name]) || fallback) * 1000;
+const integer = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const RATE_LIMITS = {
+    validate: { windowMs: seconds('RATE_LIMIT_VALIDATE_WINDOW_SECONDS', 60), max: integer('RATE_LIMIT_VALIDATE_MAX', 30) },
+    identity: { windowMs: seconds('RATE_LIMIT_IDENTITY_WINDOW_SECONDS', 60), max: integer('RATE_LIMIT_IDENTITY_MAX', 20) },
+    generate: { windowMs: seconds('RATE_LIMIT_GENERATE_WINDOW_SECONDS', 60), max: integer('RATE_LIMIT_GENERATE_MAX', 10) },
+    checkpoint: { windowMs: seconds('RATE_LIMIT_CHECKPOINT_WINDOW_SECONDS', 600), max: integer('RATE_LIMIT_CHECKPOINT_MAX', 5) },
+    reset: { windowMs: seconds('RATE_LIMIT_RESET_WINDOW_SECONDS', 3600), max: integer('RATE_LIMIT_RESET_MAX', 10) },
+    heartbeat: { windowMs: seconds('RATE_LIMIT_HEARTBEAT_WINDOW_SECONDS', 60), max: integer('RATE_LIMIT_HEARTBEAT_MAX', 60) }
+};
+
+const INVALID_KEY_BAN = {
+    threshold: integer('INVALID_KEY_BAN_THRESHOLD', 10),
+    windowMs: seconds('INVALID_KEY_BAN_WINDOW_SECONDS', 600),
+    durationMs: seconds('INVALID_KEY_BAN_SECONDS', 1800)
+};
+
+// Contadores em memória: Map id -> { count, resetAt }
+class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 1000);
+        this.pruneTimer.unref();
+    }
+
+    async increment(id, windowMs, now = Date.now()) {
+        let entry = this.entries.get(id);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            this.entries.set(id, entry);
+        }
+        entry.count++;
+        return { ...entry };
+    }
+
+    async get(id, now = Date.now()) {
+        const entry = this.entries.get(id);
+        return entry && entry.resetAt > now ? { ...entry } : null;
+    }
+
+    async set(id, count, resetAt) {
+        this.entries.set(id, { count, resetAt });
+    }
+
+    async delete(id) {
+        this.entries.delete(id);
+    }
+
+    prune(now = Date.now()) {
+        for (const [id, entry] of this.entries) {
+            if (entry.resetAt <= now) this.entries.delete(id);
+        }
+    }
+}
+
+// Mesma interface sobre uma coleção do armazenamento (docs { id, count, resetAt })
+class CollectionStore {
+    constructor(collection) {
+        this.collection = collection;
+    }
+
+    async increment(id, windowMs, now = Date.now()) {
+        const updated = await this.collection.update(id, current => (
+            current.resetAt <= now
+                ? { count: 1, resetAt: now + windowMs }
+                : { count: current.count + 1 }
+        ));
+        if (updated) return { count: updated.count, resetAt: updated.resetAt };
+
+        try {
+            const entry = { id, count: 1, resetAt: now + windowMs };
+            await this.collection.insert(entry);
+            return { count: 1, resetAt: entry.resetAt };
+        } catch (error) {
+            // Outra requisição criou o contador ao mesmo tempo; demais falhas sobem
+            if (error.code !== 'DUPLICATE') throw error;
+            return this.increment(id, windowMs, now);
+        }
+    }
+
+    async get(id, now = Date.now()) {
+        const entry = await this.collection.get(id);
+        return entry && entry.resetAt > now ? { count: entry.count, resetAt: entry.resetAt } : null;
+    }
+
+    async set(id, count, resetAt) {
+        const updated = await this.collection.update(id, { count, resetAt });
+        if (!updated) await this.collection.insert({ id, count, resetAt });
+    }
+
+    async delete(id) {
+        await this.collection.remove(id);
+    }
+
+    async prune(now = Date.now()) {
+        const expired = (await this.collection.all())
+            .filter(entry => entry.resetAt <= now)
+            .map(entry => entry.id);
+        if (expired.length > 0) await this.collection.removeMany(expired);
+    }
+}
+
+class RateLimiter {
+    constructor(store, { onBan = null } = {}) {
+        this.store = store;
+        // Chamado como onBan(id, durationMs) sempre que um id é banido
+        this.onBan = onBan;
+    }
+
+    // Conta uma requisição; retorna { limited, retryAfter } (retryAfter em segundos)
+    async hit(bucket, id, { windowMs, max }, now = Date.now()) {
+        const entry = await this.store.increment(`${bucket}:${id}`, windowMs, now);
+        if (entry.count <= max) return { limited: false, remaining: max - entry.count };
+        return { limited: true, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+    }
+
+    // Segundos restantes de banimento (0 = não banido)
+    async getBan(id, now = Date.now()) {
+        const ban = await this.store.get(`ban:${id}`, now);
+        return ban ? Math.ceil((ban.resetAt - now) / 1000) : 0;
+    }
+
+    // Registra uma key inválida; bane o id ao atingir o limite
+    async recordFailure(id, now = Date.now()) {
+        const { threshold, windowMs, durationMs } = INVALID_KEY_BAN;
+        const entry = await this.store.increment(`fail:${id}`, windowMs, now);
+
+        if (entry.count >= threshold) {
+            await this.store.set(`ban:${id}`, 1, now + durationMs);
+            await this.store.delete(`fail:${id}`);
+            console.log(`Banido temporariamente por keys inválidas: ${id}`);
+            if (this.onBan) this.onBan(id, durationMs);
+            return true;
+        }
+        return false;
+    }
+
+    async prune() {
+        await this.store.prune();
+    }
+}
+
+function sendLimited(res, retryAfter, format) {
+    const message = 'Muitas requisições, tente novamente mais tarde';
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json(format === 'validar'
+        ? { valid: false, message, retryAfter }
+        : { success: false, error: message, retryAfter });
+}
+
+// Middleware: bane/limita por IP e, se identity(req) devolver algo, por identidade
+// (o id da identidade deve ter prefixo próprio para não colidir com IPs).
+// format 'validar' usa o formato de resposta do /validar ({ valid, message }).
+function rateLimit(limiter, { bucket, limits, identity, identityLimits, format }) {
+    return async (req, res, next) => {
+        try {
+            const banned = await limiter.getBan(req.ip);
+            if (banned) return sendLimited(res, banned, format);
+
+            const byIp = await limiter.hit(bucket, req.ip, limits);
+            if (byIp.limited) return sendLimited(res, byIp.retryAfter, format);
+
+            const id = identity && identity(req);
+            if (id) {
+                const identityBan = await limiter.getBan(id);
+                if (identityBan) return sendLimited(res, identityBan, format);
+
+                const byIdentity = await limiter.hit(bucket, id, identityLimits || limits);
+                if (byIdentity.limited) return sendLimited(res, byIdentity.retryAfter, format);
+            }
+
+            next();
+        } catch (error) {
+            // Falha no contador não deve derrubar a rota
+            console.error('Erro no rate limit:', error.message);
+            next();
+        }
+    };
+}
+
+module.exports = {
+    RATE_LIMITS,
+    INVALID_KEY_BAN,
+    MemoryStore,
+    CollectionStore,
+    RateLimiter,
+    rateLimit
+};
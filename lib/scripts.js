@@ -0,0 +1,161 @@
+// Entrega protegida do script de cada projeto. O conteúdo fica na coleção
+// scripts (id = projeto) e só sai por um token de download curto e de uso
+// único, emitido por um /validar bem-sucedido. Opcionalmente cada cópia vai
+// com uma marca d'água (id registrado em scriptDownloads com a key e a
+// identidade) e embaralhada por XOR, para rastrear cópias vazadas.
+const crypto = require('crypto');
+const { luaString } = require('./loader');
+
+const SCRIPT_TOKEN_TTL_SECONDS = parseInt(process.env.SCRIPT_TOKEN_TTL_SECONDS, 10) || 60;
+const SCRIPT_DOWNLOAD_RETENTION_DAYS = parseInt(process.env.SCRIPT_DOWNLOAD_RETENTION_DAYS, 10) || 90;
+const MAX_SCRIPT_BYTES = 5 * 1024 * 1024;
+const WATERMARK_PATTERN = /^[a-f0-9]{16}$/;
+
+// O token em texto puro só vai na resposta do /validar; o armazenamento guarda o hash
+function tokenId(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Valida o corpo do PUT do script; retorna { error } ou { changes }
+function buildScriptChanges(body) {
+    if (typeof body.content !== 'string' || !body.content.trim()) {
+        return { error: "content (código Lua) é obrigatório" };
+    }
+    if (Buffer.byteLength(body.content) > MAX_SCRIPT_BYTES) {
+        return { error: `content passa do limite de ${MAX_SCRIPT_BYTES / 1024 / 1024} MB` };
+    }
+    for (const field of ['watermark', 'obfuscate']) {
+        if (body[field] !== undefined && typeof body[field] !== 'boolean') {
+            return { error: `${field} deve ser true ou false` };
+        }
+    }
+
+    return {
+        changes: {
+            content: body.content,
+            sha256: crypto.createHash('sha256').update(body.content).digest('hex'),
+            size: Buffer.byteLength(body.content),
+            watermark: body.watermark !== false,
+            obfuscate: body.obfuscate === true
+        }
+    };
+}
+
+// Metadados do script (sem o conteúdo) para a API admin
+function publicScript(script) {
+    const { content, ...rest } = script;
+    return rest;
+}
+
+// Cria o token de download depois de uma validação com sucesso
+async function issueDownloadToken(collection, { project, keyObj, identity, ip }, now = Date.now()) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = now + SCRIPT_TOKEN_TTL_SECONDS * 1000;
+
+    await collection.insert({
+        id: tokenId(token),
+        project,
+        key: keyObj.key,
+        keyHint: keyObj.keyHint,
+        ...identity,
+        ip,
+        createdAt: now,
+        expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+// Consome o token (remove antes de entregar); null se não existir, já usado ou vencido
+async function consumeDownloadToken(collection, token, now = Date.now()) {
+    if (typeof token !== 'string' || token.length > 128) return null;
+
+    const id = tokenId(token);
+    const entry = await collection.get(id);
+    // Só quem conseguiu remover entrega o script, mesmo com dois pedidos ao mesmo tempo
+    if (!entry || !(await collection.remove(id))) return null;
+
+    return entry.expiresAt > now ? entry : null;
+}
+
+// Embaralha o código com XOR (gerador Park-Miller, exato em double no Luau)
+// e devolve um loader que desembaralha e executa. É só uma camada leve.
+function obfuscate(content, seed) {
+    const bytes = Buffer.from(content, 'utf8');
+    let state = seed;
+    for (let i = 0; i < bytes.length; i++) {
+        state = (state * 16807) % 2147483647;
+        bytes[i] ^= state % 256;
+    }
+
+    return `local d, s, o = ${luaString(bytes)}, ${seed}, {}
+for i = 1, #d do
+    s = (s * 16807) % 2147483647
+    o[i] = string.char(bit32.bxor(string.byte(d, i), s % 256))
+end
+return (loadstring or load)(table.concat(o))(...)
+`;
+}
+
+// Marca d'água: o id vai num comentário, numa variável e na semente do XOR
+function renderScript(script, watermark) {
+    let body = script.content;
+    if (script.watermark) body = `local __build = ${luaString(watermark)}\n${body}`;
+    if (script.obfuscate) body = obfuscate(body, parseInt(watermark.slice(0, 7), 16) + 1);
+    return script.watermark ? `-- build ${watermark}\n${body}` : body;
+}
+
+// Registra a entrega e devolve o código com a marca d'água daquela cópia
+async function deliverScript(downloads, script, entry, { ip, now = Date.now() } = {}) {
+    const watermark = crypto.randomBytes(8).toString('hex');
+
+    if (script.watermark) {
+        await downloads.insert({
+            id: watermark,
+            project: entry.project,
+            key: entry.key,
+            keyHint: entry.keyHint,
+            userId: entry.userId,
+            hwid: entry.hwid,
+            validatedIp: entry.ip,
+            ip,
+            sha256: script.sha256,
+            downloadedAt: now
+        });
+    }
+
+    return renderScript(script, watermark);
+}
+
+// Procura a marca d'água num trecho colado (comentário "-- build <id>" ou o id puro)
+function findWatermark(text) {
+    const value = String(text || '').trim();
+    if (WATERMARK_PATTERN.test(value)) return value;
+    const match = value.match(/build ([a-f0-9]{16})/);
+    return match ? match[1] : null;
+}
+
+// Remove tokens vencidos e registros de entrega antigos (limpeza periódica)
+async function pruneScriptData(tokens, downloads, now = Date.now()) {
+    const expiredTokens = (await tokens.all())
+        .filter(entry => entry.expiresAt <= now)
+        .map(entry => entry.id);
+    if (expiredTokens.length > 0) await tokens.removeMany(expiredTokens);
+
+    const cutoff = now - SCRIPT_DOWNLOAD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const oldDownloads = (await downloads.all())
+        .filter(entry => entry.downloadedAt < cutoff)
+        .map(entry => entry.id);
+    if (oldDownloads.length > 0) await downloads.removeMany(oldDownloads);
+}
+
+module.exports = {
+    SCRIPT_TOKEN_TTL_SECONDS,
+    buildScriptChanges,
+    publicScript,
+    issueDownloadToken,
+    consumeDownloadToken,
+    deliverScript,
+    findWatermark,
+    pruneScriptData
+};
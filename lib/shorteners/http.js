@@ -0,0 +1,32 @@
+// Provedor HTTP genérico para encurtadores no estilo Work.ink: POST JSON em
+// settings.url com o destino no campo settings.linkField (padrão "destination")
+// e o link encurtado lido de settings.responsePath (ex.: "response.url").
+const axios = require('axios');
+
+function readPath(data, pathExpression) {
+    return pathExpression.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+async function shorten(link, settings = {}) {
+    if (!settings.url) throw new Error('Encurtador http sem url configurada');
+
+    const headers = { 'Content-Type': 'application/json', ...(settings.headers || {}) };
+    if (settings.token) {
+        headers[settings.tokenHeader || 'Authorization'] = settings.tokenHeader
+            ? settings.token
+            : `Bearer ${settings.token}`;
+    }
+
+    const response = await axios.post(settings.url, {
+        ...(settings.body || {}),
+        [settings.linkField || 'destination']: link
+    }, {
+        headers,
+        timeout: settings.timeoutMs || 10000
+    });
+
+    const shortUrl = readPath(response.data, settings.responsePath || 'url');
+    return typeof shortUrl === 'string' ? shortUrl : null;
+}
+
+module.exports = { name: 'http', shorten };
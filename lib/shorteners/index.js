@@ -0,0 +1,90 @@
+// Encurtadores de link plugáveis. Cada projeto define uma lista ordenada
+// (shorteners); se um provedor falhar ou der timeout, o próximo é usado.
+// Sem configuração no projeto vale SHORTENER_PROVIDER (+ SHORTENER_FALLBACK).
+const { metrics } = require('../metrics');
+
+const providers = {};
+
+for (const provider of [
+    require('./monetizzy'),
+    require('./linkvertise'),
+    require('./lootlabs'),
+    require('./http'),
+    require('./none')
+]) {
+    providers[provider.name] = provider;
+}
+
+const SHORTENER_PROVIDERS = Object.keys(providers);
+
+function defaultChain() {
+    return [process.env.SHORTENER_PROVIDER || 'monetizzy', process.env.SHORTENER_FALLBACK]
+        .filter(Boolean)
+        .map(provider => ({ provider }));
+}
+
+// Lista de provedores do projeto (aceita o formato antigo shortener: {...})
+function getShortenerChain(project = {}) {
+    if (Array.isArray(project.shorteners) && project.shorteners.length > 0) return project.shorteners;
+    if (project.shortener) return [{ provider: 'monetizzy', ...project.shortener }];
+    return defaultChain();
+}
+
+// Tenta cada provedor em ordem; retorna { url, provider } ou lança o último erro.
+// hideDestination: pula provedores que deixam o destino legível na URL
+// (exposesDestination), para links que não podem ser abertos sem o anúncio.
+async function shortenLink(link, chain = defaultChain(), { hideDestination = false } = {}) {
+    let lastError = new Error('Nenhum encurtador configurado');
+
+    for (const settings of chain) {
+        const provider = providers[settings.provider];
+        if (!provider) {
+            lastError = new Error(`Encurtador desconhecido: ${settings.provider}`);
+            continue;
+        }
+        if (hideDestination && provider.exposesDestination) {
+            lastError = new Error(`${provider.name} expõe o destino na URL e não serve para checkpoints`);
+            continue;
+        }
+
+        const endTimer = metrics.shortenerDuration.startTimer({ provider: provider.name });
+        try {
+            const url = await provider.shorten(link, settings);
+            if (url) {
+                endTimer({ result: 'success' });
+                return { url, provider: provider.name };
+            }
+            lastError = new Error(`${provider.name} não retornou link encurtado`);
+        } catch (error) {
+            lastError = error;
+        }
+
+        endTimer({ result: 'error' });
+        metrics.shortenerErrors.inc({ provider: provider.name });
+        console.error(`Encurtador ${provider.name} falhou: ${lastError.message}`);
+    }
+
+    throw lastError;
+}
+
+// Valida a lista de provedores de um projeto; retorna mensagem de erro ou null
+function validateShortenerChain(chain) {
+    if (!Array.isArray(chain) || chain.length === 0) return "shorteners deve ser uma lista não vazia";
+
+    for (const settings of chain) {
+        if (!settings || typeof settings !== 'object' || !providers[settings.provider]) {
+            return `provider inválido (use: ${SHORTENER_PROVIDERS.join(', ')})`;
+        }
+        if (settings.provider === 'http' && typeof settings.url !== 'string') {
+            return "provider http exige url";
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    SHORTENER_PROVIDERS,
+    getShortenerChain,
+    shortenLink,
+    validateShortenerChain
+};
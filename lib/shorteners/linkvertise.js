@@ -0,0 +1,16 @@
+// Provedor Linkvertise via "dynamic link": não há chamada de API, o destino
+// vai em base64 na própria URL. settings.userId é o id da conta Linkvertise.
+// Qualquer um decodifica o r= e pula o anúncio, então o provedor não é usado
+// nos checkpoints do /getkey (o destino ali é o callback que libera a key).
+const crypto = require('crypto');
+
+async function shorten(link, settings = {}) {
+    const userId = settings.userId || process.env.LINKVERTISE_USER_ID;
+    if (!userId) throw new Error('Linkvertise sem userId configurado');
+
+    const random = crypto.randomInt(100, 1000);
+    const target = Buffer.from(link).toString('base64');
+    return `https://link-to.net/${encodeURIComponent(userId)}/${random}/dynamic?r=${encodeURIComponent(target)}`;
+}
+
+module.exports = { name: 'linkvertise', shorten, exposesDestination: true };
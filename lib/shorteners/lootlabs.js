@@ -0,0 +1,26 @@
+// Provedor Lootlabs (content locker). settings: token, tierId, tasks, theme.
+const axios = require('axios');
+
+const LOOTLABS_API_URL = 'https://be.lootlabs.gg/api/lootlabs/content_locker';
+
+async function shorten(link, settings = {}) {
+    const response = await axios.post(LOOTLABS_API_URL, {
+        title: settings.title || 'Key System',
+        url: link,
+        tier_id: settings.tierId || 1,
+        number_of_tasks: settings.tasks || 3,
+        theme: settings.theme || 1
+    }, {
+        headers: { 
+            'Authorization': `Bearer ${settings.token || process.env.LOOTLABS_TOKEN}`,
+            'Content-Type': 'application/json'
+        },
+        timeout: settings.timeoutMs || 10000
+    });
+
+    // A API devolve message como objeto ou como lista com um item
+    const message = Array.isArray(response.data?.message) ? response.data.message[0] : response.data?.message;
+    return message?.loot_url || null;
+}
+
+module.exports = { name: 'lootlabs', shorten };
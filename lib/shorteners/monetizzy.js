@@ -0,0 +1,81 @@
+// Provedor Monetizzy. O MONETIZZY_TOKEN só é usado aqui, na chamada de saída.
+// Falhas transitórias são repetidas com backoff, falhas seguidas abrem o
+// circuit breaker (o próximo encurtador da lista assume) e, com
+// MONETIZZY_CACHE_TTL_HOURS, o mesmo link não é encurtado de novo.
+// Com MONETIZZY_STUB=true as chamadas vão para o stub local (./monetizzyStub).
+const axios = require('axios');
+const { withRetry, CircuitBreaker, ShortLinkCache } = require('./resilience');
+const { registry } = require('../metrics');
+
+const MONETIZZY_API_URL = 'https://api.monetizzy.com/api/shorten/link';
+const MONETIZZY_STUB = process.env.MONETIZZY_STUB === 'true';
+const MONETIZZY_STUB_PORT = parseInt(process.env.MONETIZZY_STUB_PORT, 10) || 4010;
+const MONETIZZY_RETRIES = process.env.MONETIZZY_RETRIES !== undefined
+    ? parseInt(process.env.MONETIZZY_RETRIES, 10) || 0
+    : 2;
+const MONETIZZY_RETRY_BASE_MS = parseInt(process.env.MONETIZZY_RETRY_BASE_MS, 10) || 300;
+const MONETIZZY_TIMEOUT_MS = parseInt(process.env.MONETIZZY_TIMEOUT_MS, 10) || 10000;
+
+const breaker = new CircuitBreaker({
+    name: 'Monetizzy',
+    threshold: parseInt(process.env.MONETIZZY_BREAKER_THRESHOLD, 10) || 5,
+    cooldownMs: parseInt(process.env.MONETIZZY_BREAKER_COOLDOWN_MS, 10) || 30000
+});
+
+// Desativado por padrão: cada key costuma ter o próprio link de destino
+const cache = new ShortLinkCache({
+    ttlMs: (parseFloat(process.env.MONETIZZY_CACHE_TTL_HOURS) || 0) * 60 * 60 * 1000,
+    maxEntries: parseInt(process.env.MONETIZZY_CACHE_MAX, 10) || 1000
+});
+
+registry.gauge({
+    name: 'keysystem_shortener_circuit_open',
+    help: 'Circuit breaker do encurtador aberto (1) ou fechado (0)',
+    labelNames: ['provider'],
+    collect: () => [{ labels: { provider: 'monetizzy' }, value: breaker.getState() === 'closed' ? 0 : 1 }]
+});
+
+function apiUrl() {
+    if (MONETIZZY_STUB) return `http://127.0.0.1:${MONETIZZY_STUB_PORT}/api/shorten/link`;
+    return process.env.MONETIZZY_API_URL || MONETIZZY_API_URL;
+}
+
+// Uma chamada à API; retorna o link encurtado ou null se a API não devolver um
+async function request(link, settings) {
+    const response = await axios.post(apiUrl(), {
+        link,
+        domain: settings.domain || 'ufly.monetizzy.com',
+        type: settings.type || 4
+    }, {
+        headers: {
+            'Authorization': `Bearer ${settings.token || process.env.MONETIZZY_TOKEN}`,
+            'Content-Type': 'application/json'
+        },
+        timeout: settings.timeoutMs || MONETIZZY_TIMEOUT_MS
+    });
+
+    return response.data?.shortened_url || null;
+}
+
+// Retorna o link encurtado ou null se a API não devolver um.
+// settings (do projeto) pode trocar domain, type, token e timeoutMs.
+async function shorten(link, settings = {}) {
+    // O mesmo link com outro domínio/tipo/token gera outro link encurtado
+    const cacheKey = JSON.stringify([link, settings.domain, settings.type, settings.token]);
+    const cached = cache.get(cacheKey);
+    if (cached) return cached;
+
+    // Encurtar o mesmo link de novo não tem efeito colateral, então dá para repetir
+    const url = await breaker.run(() => withRetry(() => request(link, settings), {
+        retries: MONETIZZY_RETRIES,
+        baseMs: MONETIZZY_RETRY_BASE_MS,
+        onRetry: (error, attempt, delay) => console.warn(
+            `Monetizzy falhou (tentativa ${attempt}: ${error.message}); repetindo em ${delay}ms`
+        )
+    }));
+
+    if (url) cache.set(cacheKey, url);
+    return url;
+}
+
+module.exports = { name: 'monetizzy', shorten, MONETIZZY_STUB, MONETIZZY_STUB_PORT };
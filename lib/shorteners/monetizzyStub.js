@@ -0,0 +1,68 @@
+// Stub local da API do Monetizzy para desenvolver e testar o /gerar offline.
+// Responde como POST /api/shorten/link e redireciona /s/:id para o link original.
+// Uso: MONETIZZY_STUB=true no servidor (sobe junto) ou `npm run stub:monetizzy`.
+// MONETIZZY_STUB_DELAY_MS e MONETIZZY_STUB_FAIL_RATE (0 a 1) simulam lentidão e quedas.
+const crypto = require('crypto');
+const express = require('express');
+
+function createMonetizzyStub({ port, delayMs = 0, failRate = 0 } = {}) {
+    const app = express();
+    const links = new Map();
+
+    app.use(express.json());
+
+    app.post('/api/shorten/link', async (req, res) => {
+        if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+
+        if (failRate > 0 && Math.random() < failRate) {
+            return res.status(503).json({ error: "Falha simulada pelo stub" });
+        }
+
+        if (!/^Bearer \S+/.test(req.get('Authorization') || '')) {
+            return res.status(401).json({ error: "Token ausente" });
+        }
+
+        const { link } = req.body || {};
+        if (typeof link !== 'string' || !/^https?:\/\//.test(link)) {
+            return res.status(422).json({ error: "link inválido" });
+        }
+
+        const id = crypto.randomBytes(4).toString('hex');
+        links.set(id, link);
+        res.json({ shortened_url: `http://localhost:${port}/s/${id}` });
+    });
+
+    app.get('/s/:id', (req, res) => {
+        const link = links.get(req.params.id);
+        if (!link) return res.status(404).send('Link não encontrado');
+        res.redirect(link);
+    });
+
+    return app;
+}
+
+// Sobe o stub; resolve com o http.Server quando estiver ouvindo
+function startMonetizzyStub({
+    port = parseInt(process.env.MONETIZZY_STUB_PORT, 10) || 4010,
+    delayMs = parseInt(process.env.MONETIZZY_STUB_DELAY_MS, 10) || 0,
+    failRate = parseFloat(process.env.MONETIZZY_STUB_FAIL_RATE) || 0
+} = {}) {
+    const app = createMonetizzyStub({ port, delayMs, failRate });
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            console.log(`🧪 Stub do Monetizzy na porta ${port}`);
+            resolve(server);
+        });
+        server.on('error', reject);
+    });
+}
+
+if (require.main === module) {
+    require('dotenv').config();
+    startMonetizzyStub().catch(error => {
+        console.error('Erro ao iniciar o stub do Monetizzy:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { createMonetizzyStub, startMonetizzyStub };
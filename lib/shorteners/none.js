@@ -0,0 +1,6 @@
+// Sem encurtador: devolve o próprio link (útil em desenvolvimento ou projetos sem anúncio)
+async function shorten(link) {
+    return link;
+}
+
+module.exports = { name: 'none', shorten };
@@ -0,0 +1,135 @@
+// Ferramentas para chamar encurtadores instáveis: repetição com backoff só para
+// falhas transitórias, circuit breaker e cache de links já encurtados.
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Falha transitória: sem resposta (timeout, conexão recusada/derrubada), 5xx ou 429.
+// 4xx (token inválido, link recusado) se repetiria igual, então não é repetido.
+function isRetryable(error) {
+    const status = error.response?.status;
+    if (!status) return true;
+    return status >= 500 || status === 429;
+}
+
+// Atraso da próxima tentativa: Retry-After do 429, se houver, ou backoff exponencial com jitter
+function retryDelay(error, attempt, baseMs, maxMs) {
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    const delay = retryAfter > 0
+        ? retryAfter * 1000
+        : baseMs * 2 ** (attempt - 1) + Math.floor(Math.random() * baseMs);
+    return Math.min(delay, maxMs);
+}
+
+// Executa fn() até retries + 1 vezes enquanto a falha for transitória
+async function withRetry(fn, { retries = 2, baseMs = 300, maxMs = 5000, onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (attempt > retries || !isRetryable(error)) throw error;
+            const delay = retryDelay(error, attempt, baseMs, maxMs);
+            if (onRetry) onRetry(error, attempt, delay);
+            await sleep(delay);
+        }
+    }
+}
+
+// Depois de threshold falhas transitórias seguidas o circuito abre e as
+// chamadas falham na hora (o próximo encurtador da lista assume). Passado
+// cooldownMs, uma única chamada de teste decide se fecha ou reabre.
+class CircuitBreaker {
+    constructor({ name, threshold = 5, cooldownMs = 30000 }) {
+        this.name = name;
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    getState(now = Date.now()) {
+        if (this.openedAt === null) return 'closed';
+        return now - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+    }
+
+    // Lança CIRCUIT_OPEN se a chamada não puder ser feita agora
+    before(now = Date.now()) {
+        const state = this.getState(now);
+        if (state === 'closed') return;
+        if (state === 'half-open' && !this.probing) {
+            this.probing = true;
+            return;
+        }
+
+        const error = new Error(`${this.name} indisponível (circuito aberto)`);
+        error.code = 'CIRCUIT_OPEN';
+        error.retryAfterMs = Math.max(0, this.openedAt + this.cooldownMs - now);
+        throw error;
+    }
+
+    success() {
+        if (this.openedAt !== null) console.log(`Circuito do ${this.name} fechado`);
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    failure(now = Date.now()) {
+        this.failures++;
+        if (this.probing || (this.openedAt === null && this.failures >= this.threshold)) {
+            console.error(`Circuito do ${this.name} aberto por ${Math.round(this.cooldownMs / 1000)}s após ${this.failures} falhas`);
+            this.openedAt = now;
+        }
+        this.probing = false;
+    }
+
+    // Executa fn() protegida; só falhas transitórias contam para abrir o circuito
+    async run(fn) {
+        this.before();
+        try {
+            const result = await fn();
+            this.success();
+            return result;
+        } catch (error) {
+            if (isRetryable(error)) {
+                this.failure();
+            } else {
+                this.probing = false;
+            }
+            throw error;
+        }
+    }
+}
+
+// Cache em memória (LRU simples pela ordem do Map) de link original -> link encurtado
+class ShortLinkCache {
+    constructor({ ttlMs, maxEntries = 1000 }) {
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    get enabled() {
+        return this.ttlMs > 0;
+    }
+
+    get(key, now = Date.now()) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        this.entries.delete(key);
+        if (entry.expiresAt <= now) return null;
+        this.entries.set(key, entry);
+        return entry.url;
+    }
+
+    set(key, url, now = Date.now()) {
+        if (!this.enabled) return;
+        this.entries.delete(key);
+        this.entries.set(key, { url, expiresAt: now + this.ttlMs });
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+module.exports = { isRetryable, withRetry, CircuitBreaker, ShortLinkCache };
@@ -0,0 +1,110 @@
+// Assinatura das respostas do /validar para o loader Lua conferir.
+// As chaves são identificadas por um kid, o que permite rotação: o loader
+// envia o kid que conhece e a chave antiga continua assinando até ser removida.
+//
+//   SIGNING_SECRETS=v2:segredo-novo,v1:segredo-antigo     (HMAC-SHA256)
+//   SIGNING_ED25519_KEYS=ed1:<chave privada PKCS#8 DER em base64>
+//
+// A primeira chave de SIGNING_SECRETS (ou de SIGNING_ED25519_KEYS se não houver
+// HMAC) é a padrão quando o cliente não informa kid.
+const crypto = require('crypto');
+
+// v2 inclui o tier e é o padrão; v1 (sem tier) só quando pedido explicitamente
+const SIGNATURE_VERSION = 'v2';
+const SIGNATURE_VERSIONS = ['v1', 'v2'];
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => {
+            const index = item.indexOf(':');
+            return index > 0 ? [item.slice(0, index), item.slice(index + 1)] : null;
+        })
+        .filter(Boolean);
+}
+
+// Monta o mapa kid -> { alg, secret | privateKey, publicKey }
+function loadSigningKeys(env = process.env) {
+    const keys = new Map();
+
+    for (const [kid, secret] of parseList(env.SIGNING_SECRETS)) {
+        keys.set(kid, { kid, alg: 'hmac-sha256', secret });
+    }
+
+    for (const [kid, der] of parseList(env.SIGNING_ED25519_KEYS)) {
+        const privateKey = crypto.createPrivateKey({ key: Buffer.from(der, 'base64'), format: 'der', type: 'pkcs8' });
+        keys.set(kid, { kid, alg: 'ed25519', privateKey, publicKey: crypto.createPublicKey(privateKey) });
+    }
+
+    return keys;
+}
+
+class Signer {
+    constructor(keys) {
+        this.keys = keys;
+        this.defaultKid = keys.size > 0 ? keys.keys().next().value : null;
+    }
+
+    hasKid(kid) {
+        return this.keys.has(kid);
+    }
+
+    // Chaves públicas Ed25519 (base64 da chave crua de 32 bytes)
+    publicKeys() {
+        return [...this.keys.values()]
+            .filter(key => key.alg === 'ed25519')
+            .map(key => ({
+                kid: key.kid,
+                alg: key.alg,
+                publicKey: key.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('base64')
+            }));
+    }
+
+    // Chave HMAC (a do kid informado ou a primeira) para embutir no loader Lua;
+    // Ed25519 não tem como ser conferido no loader, então fica de fora
+    hmacKey(kid) {
+        const candidates = kid ? [this.keys.get(kid)] : [...this.keys.values()];
+        const key = candidates.find(candidate => candidate && candidate.alg === 'hmac-sha256');
+        return key ? { kid: key.kid, secret: key.secret } : null;
+    }
+
+    // Texto assinado: campos em ordem fixa separados por "|" (fácil de montar em Lua)
+    // v2|valid|key|nonce|userId|hwid|tier|expiresAt|issuedAt  (datas em segundos unix)
+    // v1|valid|key|nonce|userId|hwid|expiresAt|issuedAt
+    static canonical({ valid, key, nonce, userId, hwid, tier, expiresAt, issuedAt }, version = SIGNATURE_VERSION) {
+        return [
+            version,
+            valid ? '1' : '0',
+            key || '',
+            nonce,
+            userId || '',
+            hwid || '',
+            ...(version === 'v1' ? [] : [tier || '']),
+            expiresAt ? Math.floor(expiresAt / 1000) : '',
+            Math.floor(issuedAt / 1000)
+        ].join('|');
+    }
+
+    // Retorna o objeto de assinatura ou null se não houver chave disponível
+    sign(fields, kid = this.defaultKid, version = SIGNATURE_VERSION) {
+        const signingKey = kid && this.keys.get(kid);
+        if (!signingKey) return null;
+
+        const issuedAt = Date.now();
+        const payload = Signer.canonical({ ...fields, issuedAt }, version);
+        const value = signingKey.alg === 'ed25519'
+            ? crypto.sign(null, Buffer.from(payload), signingKey.privateKey).toString('base64')
+            : crypto.createHmac('sha256', signingKey.secret).update(payload).digest('hex');
+
+        return { kid: signingKey.kid, alg: signingKey.alg, issuedAt: Math.floor(issuedAt / 1000), payload, value };
+    }
+}
+
+function isValidNonce(nonce) {
+    return typeof nonce === 'string' && NONCE_PATTERN.test(nonce);
+}
+
+module.exports = { SIGNATURE_VERSION, SIGNATURE_VERSIONS, loadSigningKeys, Signer, isValidNonce };
@@ -0,0 +1,47 @@
+// Camada de armazenamento: escolhe o driver pelo STORAGE_DRIVER (json | sqlite).
+// Todos os drivers expõem coleções com a mesma interface assíncrona:
+// get, all, find, count, insert, update, remove, removeMany e flush.
+// insert recusa ids repetidos com um erro de code 'DUPLICATE'.
+const fs = require('fs-extra');
+const path = require('path');
+const { JsonStorage } = require('./json');
+const { SqliteStorage } = require('./sqlite');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+
+function createStorage(options = {}) {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'json';
+    // keys.json continua na raiz por compatibilidade; as demais coleções ficam em data/
+    const dataDir = options.dataDir || process.env.DATA_DIR || path.join(ROOT_DIR, 'data');
+    const keysFile = options.keysFile || path.join(ROOT_DIR, 'keys.json');
+
+    switch (driver) {
+        case 'json':
+            return new JsonStorage({ dataDir, files: { keys: keysFile } });
+        case 'sqlite':
+            return new SqliteStorage({
+                file: options.sqliteFile || process.env.SQLITE_FILE || path.join(dataDir, 'keys.db')
+            });
+        default:
+            throw new Error(`STORAGE_DRIVER desconhecido: ${driver}`);
+    }
+}
+
+// Importa um keys.json existente para o driver atual (executado uma única vez)
+async function migrateKeysJson(storage, collection, keysFile) {
+    if (typeof storage.getMeta !== 'function') return 0;
+    if (await storage.getMeta('keys_json_migrated')) return 0;
+
+    let imported = 0;
+    if (await fs.pathExists(keysFile)) {
+        const list = await fs.readJson(keysFile);
+        if (Array.isArray(list) && list.length > 0) {
+            imported = await collection.insertMany(list.filter(k => k && k.key));
+        }
+    }
+
+    await storage.setMeta('keys_json_migrated', Date.now());
+    return imported;
+}
+
+module.exports = { createStorage, migrateKeysJson, ROOT_DIR };
@@ -0,0 +1,139 @@
+// Driver JSON: cada coleção é um arquivo .json com um array de objetos.
+// Os dados ficam em memória (Map indexado pelo id) e cada escrita grava
+// o arquivo inteiro em um temporário + rename, para não corromper o
+// arquivo original se o processo cair no meio da gravação.
+const fs = require('fs-extra');
+const path = require('path');
+
+function matchesFilter(doc, filter) {
+    return Object.entries(filter).every(([field, value]) => {
+        const current = doc[field] === undefined ? null : doc[field];
+        return current === value;
+    });
+}
+
+class JsonCollection {
+    constructor(name, file, idField) {
+        this.name = name;
+        this.file = file;
+        this.idField = idField;
+        this.docs = new Map();
+        this.writing = Promise.resolve();
+        this.dirty = false;
+    }
+
+    async load() {
+        if (await fs.pathExists(this.file)) {
+            const list = await fs.readJson(this.file);
+            for (const doc of list) {
+                this.docs.set(doc[this.idField], doc);
+            }
+        } else {
+            await fs.ensureDir(path.dirname(this.file));
+            await fs.writeJson(this.file, []);
+        }
+    }
+
+    // Gravações são enfileiradas; várias alterações seguidas viram uma só escrita
+    persist() {
+        this.dirty = true;
+        // Uma falha anterior não pode travar as próximas gravações
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            if (!this.dirty) return;
+            this.dirty = false;
+            const tmp = `${this.file}.${process.pid}.tmp`;
+            await fs.writeJson(tmp, [...this.docs.values()], { spaces: 2 });
+            await fs.rename(tmp, this.file);
+        });
+        return this.writing;
+    }
+
+    async get(id) {
+        return this.docs.get(id) || null;
+    }
+
+    async all() {
+        return [...this.docs.values()];
+    }
+
+    async find(filter = {}) {
+        return [...this.docs.values()].filter(doc => matchesFilter(doc, filter));
+    }
+
+    async count(filter = {}) {
+        if (Object.keys(filter).length === 0) return this.docs.size;
+        return (await this.find(filter)).length;
+    }
+
+    async insert(doc) {
+        const id = doc[this.idField];
+        if (this.docs.has(id)) {
+            throw Object.assign(new Error(`Registro duplicado em ${this.name}: ${id}`), { code: 'DUPLICATE' });
+        }
+        this.docs.set(id, doc);
+        await this.persist();
+        return doc;
+    }
+
+    // changes pode ser um objeto parcial ou uma função (doc) => objeto parcial | null.
+    // A função roda de forma síncrona sobre o estado atual, então a leitura e a
+    // escrita do mesmo registro não se intercalam com outras requisições.
+    async update(id, changes) {
+        const current = this.docs.get(id);
+        if (!current) return null;
+
+        const patch = typeof changes === 'function' ? changes(current) : changes;
+        if (!patch) return current;
+
+        const updated = { ...current, ...patch };
+        this.docs.set(id, updated);
+        await this.persist();
+        return updated;
+    }
+
+    async remove(id) {
+        const existed = this.docs.delete(id);
+        if (existed) await this.persist();
+        return existed;
+    }
+
+    async removeMany(ids) {
+        let removed = 0;
+        for (const id of ids) {
+            if (this.docs.delete(id)) removed++;
+        }
+        if (removed) await this.persist();
+        return removed;
+    }
+
+    async flush() {
+        await this.writing.catch(() => {});
+    }
+}
+
+class JsonStorage {
+    constructor({ dataDir, files = {} }) {
+        this.driver = 'json';
+        this.dataDir = dataDir;
+        this.files = files;
+        this.collections = new Map();
+    }
+
+    async init() {}
+
+    async collection(name, { idField = 'id' } = {}) {
+        if (!this.collections.has(name)) {
+            const file = this.files[name] || path.join(this.dataDir, `${name}.json`);
+            const collection = new JsonCollection(name, file, idField);
+            await collection.load();
+            this.collections.set(name, collection);
+        }
+        return this.collections.get(name);
+    }
+
+    async close() {
+        await Promise.all([...this.collections.values()].map(c => c.flush()));
+    }
+}
+
+module.exports = { JsonStorage };
@@ -0,0 +1,190 @@
+// Driver SQLite (better-sqlite3): cada coleção é uma tabela (id, data JSON).
+// Buscas por id usam a chave primária; campos listados em `indexes` ganham
+// índice sobre json_extract para consultas por valor.
+const fs = require('fs-extra');
+const path = require('path');
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('Driver SQLite indisponível: instale o pacote better-sqlite3');
+    }
+}
+
+// better-sqlite3 não aceita booleanos como parâmetro; o JSON do SQLite usa 1/0
+function toSqlValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+function quoteIdentifier(name) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Nome inválido para o SQLite: ${name}`);
+    }
+    return `"${name}"`;
+}
+
+class SqliteCollection {
+    constructor(db, name, idField, indexes) {
+        this.db = db;
+        this.name = name;
+        this.idField = idField;
+        this.table = quoteIdentifier(name);
+
+        db.exec(`CREATE TABLE IF NOT EXISTS ${this.table} (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+        for (const field of indexes) {
+            quoteIdentifier(field);
+            db.exec(`CREATE INDEX IF NOT EXISTS ${quoteIdentifier(`idx_${name}_${field}`)} ON ${this.table} (json_extract(data, '$.${field}'))`);
+        }
+
+        this.stmts = {
+            get: db.prepare(`SELECT data FROM ${this.table} WHERE id = ?`),
+            all: db.prepare(`SELECT data FROM ${this.table}`),
+            count: db.prepare(`SELECT COUNT(*) AS total FROM ${this.table}`),
+            insert: db.prepare(`INSERT INTO ${this.table} (id, data) VALUES (?, ?)`),
+            update: db.prepare(`UPDATE ${this.table} SET data = ? WHERE id = ?`),
+            remove: db.prepare(`DELETE FROM ${this.table} WHERE id = ?`)
+        };
+    }
+
+    whereClause(filter) {
+        const fields = Object.keys(filter);
+        if (fields.length === 0) return { sql: '', params: [] };
+
+        const conditions = [];
+        const params = [];
+        for (const field of fields) {
+            quoteIdentifier(field);
+            const value = filter[field];
+            if (value === null) {
+                conditions.push(`json_extract(data, '$.${field}') IS NULL`);
+            } else {
+                conditions.push(`json_extract(data, '$.${field}') = ?`);
+                params.push(toSqlValue(value));
+            }
+        }
+        return { sql: ` WHERE ${conditions.join(' AND ')}`, params };
+    }
+
+    async get(id) {
+        const row = this.stmts.get.get(String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async all() {
+        return this.stmts.all.all().map(row => JSON.parse(row.data));
+    }
+
+    async find(filter = {}) {
+        const { sql, params } = this.whereClause(filter);
+        return this.db.prepare(`SELECT data FROM ${this.table}${sql}`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async count(filter = {}) {
+        if (Object.keys(filter).length === 0) return this.stmts.count.get().total;
+        const { sql, params } = this.whereClause(filter);
+        return this.db.prepare(`SELECT COUNT(*) AS total FROM ${this.table}${sql}`).get(...params).total;
+    }
+
+    async insert(doc) {
+        const id = doc[this.idField];
+        try {
+            this.stmts.insert.run(String(id), JSON.stringify(doc));
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+                throw Object.assign(new Error(`Registro duplicado em ${this.name}: ${id}`), { code: 'DUPLICATE' });
+            }
+            throw error;
+        }
+        return doc;
+    }
+
+    // Mesma semântica do driver JSON: leitura + escrita dentro de uma transação
+    async update(id, changes) {
+        const run = this.db.transaction(() => {
+            const row = this.stmts.get.get(String(id));
+            if (!row) return null;
+
+            const current = JSON.parse(row.data);
+            const patch = typeof changes === 'function' ? changes(current) : changes;
+            if (!patch) return current;
+
+            const updated = { ...current, ...patch };
+            this.stmts.update.run(JSON.stringify(updated), String(id));
+            return updated;
+        });
+        return run();
+    }
+
+    async remove(id) {
+        return this.stmts.remove.run(String(id)).changes > 0;
+    }
+
+    async removeMany(ids) {
+        const run = this.db.transaction(list => {
+            let removed = 0;
+            for (const id of list) {
+                removed += this.stmts.remove.run(String(id)).changes;
+            }
+            return removed;
+        });
+        return run(ids);
+    }
+
+    // Importação em lote (usada na migração); ignora ids já existentes
+    async insertMany(docs) {
+        const insert = this.db.prepare(`INSERT OR IGNORE INTO ${this.table} (id, data) VALUES (?, ?)`);
+        const run = this.db.transaction(list => {
+            let inserted = 0;
+            for (const doc of list) {
+                inserted += insert.run(String(doc[this.idField]), JSON.stringify(doc)).changes;
+            }
+            return inserted;
+        });
+        return run(docs);
+    }
+
+    async flush() {}
+}
+
+class SqliteStorage {
+    constructor({ file }) {
+        this.driver = 'sqlite';
+        this.file = file;
+        this.collections = new Map();
+    }
+
+    async init() {
+        const Database = loadDriver();
+        await fs.ensureDir(path.dirname(this.file));
+        this.db = new Database(this.file);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec('CREATE TABLE IF NOT EXISTS meta (name TEXT PRIMARY KEY, value TEXT)');
+    }
+
+    async collection(name, { idField = 'id', indexes = [] } = {}) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new SqliteCollection(this.db, name, idField, indexes));
+        }
+        return this.collections.get(name);
+    }
+
+    async getMeta(name) {
+        const row = this.db.prepare('SELECT value FROM meta WHERE name = ?').get(name);
+        return row ? row.value : null;
+    }
+
+    async setMeta(name, value) {
+        this.db.prepare('INSERT INTO meta (name, value) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET value = excluded.value')
+            .run(name, String(value));
+    }
+
+    async close() {
+        if (this.db) this.db.close();
+    }
+}
+
+module.exports = { SqliteStorage };
@@ -0,0 +1,160 @@
+// Webhooks de saída para eventos de keys (JSON assinado ou embed do Discord).
+// Cada endpoint escolhe os eventos que recebe; entregas que falham são
+// repetidas com backoff exponencial e, esgotadas as tentativas, vão para a
+// lista de dead letters (reenviáveis pela API admin).
+const crypto = require('crypto');
+const axios = require('axios');
+
+const WEBHOOK_EVENTS = ['key.generated', 'key.validated', 'key.rejected', 'key.reset', 'abuse.detected'];
+const WEBHOOK_FORMATS = ['json', 'discord'];
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 5;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 2000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const DISCORD_COLORS = {
+    'key.generated': 0x2196F3,
+    'key.validated': 0x4CAF50,
+    'key.rejected': 0xFF9800,
+    'key.reset': 0x9C27B0,
+    'abuse.detected': 0xE53935
+};
+
+const DISCORD_TITLES = {
+    'key.generated': '🔑 Key gerada',
+    'key.validated': '✅ Key validada',
+    'key.rejected': '⚠️ Key recusada',
+    'key.reset': '🔄 HWID resetado',
+    'abuse.detected': '🚨 Abuso detectado'
+};
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function discordPayload(event) {
+    const fields = Object.entries(event.data)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .slice(0, 25)
+        .map(([name, value]) => ({
+            name,
+            value: String(typeof value === 'object' ? JSON.stringify(value) : value).slice(0, 1024),
+            inline: true
+        }));
+
+    return {
+        username: 'KeySystem',
+        embeds: [{
+            title: DISCORD_TITLES[event.type] || event.type,
+            color: DISCORD_COLORS[event.type] || 0x888888,
+            fields,
+            timestamp: event.createdAt
+        }]
+    };
+}
+
+class WebhookDispatcher {
+    constructor(services) {
+        this.services = services;
+    }
+
+    // Dispara o evento para todos os endpoints inscritos (não bloqueia a rota)
+    dispatch(type, data) {
+        this.deliverAll(type, data).catch(error => console.error('Erro ao disparar webhooks:', error.message));
+    }
+
+    async deliverAll(type, data) {
+        if (!this.services.webhookEndpoints) return;
+
+        const endpoints = (await this.services.webhookEndpoints.all())
+            .filter(endpoint => endpoint.enabled !== false)
+            .filter(endpoint => endpoint.events.includes('*') || endpoint.events.includes(type));
+
+        const event = {
+            id: crypto.randomBytes(8).toString('hex'),
+            type,
+            createdAt: new Date().toISOString(),
+            data
+        };
+
+        for (const endpoint of endpoints) {
+            this.attempt(endpoint, event, 1);
+        }
+    }
+
+    async send(endpoint, event) {
+        const body = JSON.stringify(endpoint.format === 'discord' ? discordPayload(event) : event);
+        const timestamp = Math.floor(Date.now() / 1000);
+
+        await axios.post(endpoint.url, body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'X-KeySystem-Event': event.type,
+                'X-KeySystem-Timestamp': String(timestamp),
+                'X-KeySystem-Signature': `sha256=${signPayload(endpoint.secret, timestamp, body)}`
+            },
+            timeout: WEBHOOK_TIMEOUT_MS
+        });
+    }
+
+    attempt(endpoint, event, attempt) {
+        this.send(endpoint, event).catch(error => {
+            const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+
+            if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+                console.error(`Webhook ${endpoint.id} falhou ${attempt}x (${reason}), movido para dead letters`);
+                this.deadLetter(endpoint, event, attempt, reason)
+                    .catch(err => console.error('Erro ao gravar dead letter:', err.message));
+                return;
+            }
+
+            // Discord informa quanto esperar no 429
+            const retryAfter = parseFloat(error.response?.data?.retry_after || error.response?.headers?.['retry-after']);
+            const delay = retryAfter > 0
+                ? retryAfter * 1000
+                : WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+
+            setTimeout(() => this.attempt(endpoint, event, attempt + 1), delay).unref();
+        });
+    }
+
+    async deadLetter(endpoint, event, attempts, reason) {
+        await this.services.webhookDeadLetters.insert({
+            id: event.id + '-' + endpoint.id,
+            endpointId: endpoint.id,
+            event,
+            attempts,
+            lastError: reason,
+            failedAt: Date.now()
+        });
+    }
+
+    // Reenvia uma dead letter uma vez; em caso de sucesso ela é removida
+    async retryDeadLetter(id) {
+        const letter = await this.services.webhookDeadLetters.get(id);
+        if (!letter) return null;
+
+        const endpoint = await this.services.webhookEndpoints.get(letter.endpointId);
+        if (!endpoint) throw new Error('Endpoint do webhook não existe mais');
+
+        await this.send(endpoint, letter.event);
+        await this.services.webhookDeadLetters.remove(id);
+        return letter;
+    }
+
+    // Envia um evento de teste direto (sem retry) e devolve o erro, se houver
+    async test(endpoint) {
+        await this.send(endpoint, {
+            id: crypto.randomBytes(8).toString('hex'),
+            type: 'test',
+            createdAt: new Date().toISOString(),
+            data: { message: 'Webhook de teste do KeySystem' }
+        });
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_FORMATS,
+    WebhookDispatcher,
+    signPayload
+};
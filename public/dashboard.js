@@ -0,0 +1,267 @@
+// Painel admin: consome a API /admin/* com a API key guardada no sessionStorage
+const TOKEN_STORAGE = 'keysystem-admin-token';
+const PAGE_SIZE = 25;
+
+const state = {
+    page: 1,
+    total: 0
+};
+
+const $ = (id) => document.getElementById(id);
+
+function getToken() {
+    return sessionStorage.getItem(TOKEN_STORAGE);
+}
+
+async function api(path, options = {}) {
+    const response = await fetch(path, {
+        ...options,
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': 'Bearer ' + getToken()
+        },
+        body: options.body ? JSON.stringify(options.body) : undefined
+    });
+
+    const data = await response.json();
+
+    if (response.status === 401 || response.status === 403) {
+        logout();
+        throw new Error(data.error || 'Não autorizado');
+    }
+
+    if (!data.success) {
+        throw new Error(data.error || 'Erro desconhecido');
+    }
+
+    return data;
+}
+
+function formatDate(value) {
+    if (value === null || value === undefined) return '—';
+    return new Date(value).toLocaleString('pt-BR');
+}
+
+function cell(row, text, className) {
+    const td = document.createElement('td');
+    td.textContent = text;
+    if (className) td.className = className;
+    row.appendChild(td);
+    return td;
+}
+
+// -------------------- Login -------------------- //
+
+async function login(token) {
+    sessionStorage.setItem(TOKEN_STORAGE, token);
+    const data = await api('/admin/me');
+    $('whoami').textContent = data.apiKey.name;
+    $('loginView').hidden = true;
+    $('dashboardView').hidden = false;
+    await Promise.all([loadStats(), loadKeys()]);
+}
+
+function logout() {
+    sessionStorage.removeItem(TOKEN_STORAGE);
+    $('dashboardView').hidden = true;
+    $('loginView').hidden = false;
+}
+
+$('loginForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    $('loginError').textContent = '';
+    try {
+        await login($('token').value.trim());
+    } catch (error) {
+        $('loginError').textContent = error.message;
+    }
+});
+
+$('logoutBtn').addEventListener('click', logout);
+
+// -------------------- Estatísticas -------------------- //
+
+// Gráfico de barras agrupadas em SVG (sem dependências externas)
+function renderChart(days) {
+    const width = 900;
+    const height = 220;
+    const padding = 24;
+    const max = Math.max(1, ...days.map(d => Math.max(d.generated, d.validated)));
+    const groupWidth = (width - padding * 2) / days.length;
+    const barWidth = Math.max(2, groupWidth / 2 - 2);
+    const ns = 'http://www.w3.org/2000/svg';
+
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('width', '100%');
+
+    days.forEach((day, index) => {
+        const x = padding + index * groupWidth;
+        [['generated', day.generated, 0], ['validated', day.validated, barWidth + 1]].forEach(([kind, value, offset]) => {
+            const barHeight = (value / max) * (height - padding * 2);
+            const rect = document.createElementNS(ns, 'rect');
+            rect.setAttribute('class', kind);
+            rect.setAttribute('x', x + offset);
+            rect.setAttribute('y', height - padding - barHeight);
+            rect.setAttribute('width', barWidth);
+            rect.setAttribute('height', barHeight);
+            const title = document.createElementNS(ns, 'title');
+            title.textContent = `${day.date}: ${value}`;
+            rect.appendChild(title);
+            svg.appendChild(rect);
+        });
+
+        const label = document.createElementNS(ns, 'text');
+        label.setAttribute('x', x);
+        label.setAttribute('y', height - 6);
+        label.textContent = day.date.slice(5);
+        svg.appendChild(label);
+    });
+
+    $('chart').replaceChildren(svg);
+}
+
+function fillProjectSelect(select, projects) {
+    const current = select.value;
+    select.replaceChildren(select.options[0]);
+    for (const project of projects) {
+        const option = document.createElement('option');
+        option.value = project.id;
+        option.textContent = project.name;
+        select.appendChild(option);
+    }
+    select.value = current;
+}
+
+async function loadStats() {
+    const project = $('statsProject').value;
+    const data = await api('/admin/stats?days=14' + (project ? '&project=' + encodeURIComponent(project) : ''));
+
+    renderChart(data.days);
+    fillProjectSelect($('statsProject'), data.projects);
+    fillProjectSelect($('keysProject'), data.projects);
+
+    const rows = data.projects.map(project => {
+        const row = document.createElement('tr');
+        cell(row, project.name);
+        for (const field of ['total', 'available', 'used', 'expired', 'revoked']) {
+            cell(row, project.stats[field]);
+        }
+        return row;
+    });
+    $('projectsBody').replaceChildren(...rows);
+}
+
+$('statsProject').addEventListener('change', () => loadStats().catch(error => alert(error.message)));
+
+// -------------------- Keys -------------------- //
+
+async function keyAction(key, action) {
+    const path = '/admin/keys/' + encodeURIComponent(key);
+
+    if (action === 'delete') {
+        if (!confirm(`Remover a key ${key}?`)) return;
+        await api(path, { method: 'DELETE' });
+    } else if (action === 'revoke') {
+        const reason = prompt('Motivo da revogação (opcional):');
+        if (reason === null) return;
+        await api(path, { method: 'PATCH', body: { revoked: true, reason: reason || undefined } });
+    } else if (action === 'unrevoke') {
+        await api(path, { method: 'PATCH', body: { revoked: false } });
+    } else if (action === 'extend') {
+        const hours = parseFloat(prompt('Estender por quantas horas?', '24'));
+        if (!(hours > 0)) return;
+        await api(path, { method: 'PATCH', body: { extendHours: hours } });
+    } else if (action === 'reset') {
+        await api(path, { method: 'PATCH', body: { used: false } });
+    } else if (action === 'resethwid') {
+        await api(path + '/reset-hwid', { method: 'POST' });
+    }
+
+    await Promise.all([loadKeys(), loadStats()]);
+}
+
+function actionButton(label, key, action, danger) {
+    const button = document.createElement('button');
+    button.className = 'btn-small' + (danger ? ' danger' : '');
+    button.textContent = label;
+    button.addEventListener('click', () => keyAction(key, action).catch(error => alert(error.message)));
+    return button;
+}
+
+async function loadKeys() {
+    const params = new URLSearchParams({ page: state.page, limit: PAGE_SIZE });
+    if ($('search').value.trim()) params.set('q', $('search').value.trim());
+    if ($('userId').value.trim()) params.set('userId', $('userId').value.trim());
+    if ($('status').value) params.set('status', $('status').value);
+    if ($('tier').value) params.set('tier', $('tier').value);
+    if ($('keysProject').value) params.set('project', $('keysProject').value);
+
+    const data = await api('/admin/keys?' + params);
+    state.total = data.total;
+
+    const rows = data.keys.map(keyObj => {
+        const row = document.createElement('tr');
+        cell(row, keyObj.keyHint || keyObj.key, 'key');
+        cell(row, keyObj.project || 'default');
+
+        const statusCell = cell(row, '');
+        const badge = document.createElement('span');
+        badge.className = 'status ' + keyObj.status;
+        badge.textContent = keyObj.status;
+        statusCell.appendChild(badge);
+        if (keyObj.tier === 'premium') {
+            const premium = document.createElement('span');
+            premium.className = 'status premium';
+            premium.textContent = 'premium';
+            premium.title = keyObj.allowedUserId ? 'Reservada para ' + keyObj.allowedUserId : '';
+            statusCell.append(' ', premium);
+        }
+
+        cell(row, formatDate(keyObj.createdAt));
+        cell(row, keyObj.expiresAt === null ? 'vitalícia' : formatDate(keyObj.expiresAt));
+        cell(row, (keyObj.boundTo || []).map(b => b.userId || b.hwid).join(', ') || '—');
+
+        const actions = cell(row, '', 'actions');
+        actions.append(
+            keyObj.revoked
+                ? actionButton('Reativar', keyObj.key, 'unrevoke')
+                : actionButton('Revogar', keyObj.key, 'revoke', true),
+            actionButton('+Horas', keyObj.key, 'extend'),
+            actionButton('Resetar', keyObj.key, 'reset'),
+            actionButton('Remover', keyObj.key, 'delete', true)
+        );
+        if ((keyObj.boundTo || []).length > 0) {
+            actions.append(actionButton('Reset HWID', keyObj.key, 'resethwid'));
+        }
+        return row;
+    });
+
+    $('keysBody').replaceChildren(...rows);
+
+    const pages = Math.max(1, Math.ceil(state.total / PAGE_SIZE));
+    $('pageInfo').textContent = `Página ${state.page} de ${pages} (${state.total} keys)`;
+    $('prevPage').disabled = state.page <= 1;
+    $('nextPage').disabled = state.page >= pages;
+}
+
+$('filtersForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    state.page = 1;
+    loadKeys().catch(error => alert(error.message));
+});
+
+$('prevPage').addEventListener('click', () => {
+    state.page--;
+    loadKeys().catch(error => alert(error.message));
+});
+
+$('nextPage').addEventListener('click', () => {
+    state.page++;
+    loadKeys().catch(error => alert(error.message));
+});
+
+// Sessão anterior ainda aberta nesta aba
+if (getToken()) {
+    login(getToken()).catch(logout);
+}
@@ -0,0 +1,621 @@
+// API admin de keys: listagem, busca, revogação, edição e remoção
+const express = require('express');
+const { requireScope } = require('../lib/auth');
+const { auditRoute } = require('../lib/audit');
+const { createApiKeysRouter } = require('./apiKeys');
+const { createProjectsRouter } = require('./projects');
+const { createWebhooksRouter } = require('./webhooks');
+const { createBlacklistRouter } = require('./blacklist');
+const { createSessionsRouter } = require('./sessions');
+const { isLive } = require('../lib/heartbeat');
+const {
+    TRANSFER_FORMATS,
+    MAX_IMPORT_ROWS,
+    buildExportFilter,
+    exportKeys,
+    parseImport,
+    importKeys
+} = require('../lib/keyTransfer');
+const { registerCommands } = require('../lib/discord');
+const { keyLabel, maskKey, toKeyId } = require('../lib/keyHash');
+const { DEFAULT_PROJECT_ID, keyBelongsTo, projectStats, resolveProject } = require('../lib/projects');
+const {
+    KEY_STATUSES,
+    KEY_TYPES,
+    KEY_TIERS,
+    HOUR_MS,
+    createKey,
+    getKeyStatus,
+    getKeyTier,
+    getExpiresAt,
+    getResetRules,
+    evaluateReset
+} = require('../lib/keys');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STATS_DAYS = 90;
+const MAX_PREMIUM_BATCH = 1000;
+
+// Aceita timestamp em ms, string ISO ou null (vitalícia)
+function parseTimestamp(value) {
+    if (value === null) return null;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : undefined;
+}
+
+function matchesQuery(keyObj, query, now) {
+    const { project, status, type, tier, q, qKeyId, shortLink, originalLink, userId, hwid } = query;
+    const boundTo = keyObj.boundTo || [];
+
+    if (project && !keyBelongsTo(keyObj, project)) return false;
+    if (status && getKeyStatus(keyObj, now) !== status) return false;
+    if (type && (keyObj.type || 'standard') !== type) return false;
+    if (tier && getKeyTier(keyObj) !== tier) return false;
+    if (shortLink && keyObj.shortLink !== shortLink) return false;
+    if (originalLink && keyObj.originalLink !== originalLink) return false;
+    if (userId && !boundTo.some(b => b.userId === String(userId))) return false;
+    if (hwid && !boundTo.some(b => b.hwid === hwid)) return false;
+
+    if (q) {
+        const term = String(q).toLowerCase();
+        // Com hash, a key completa só é encontrada pela busca exata (toKeyId)
+        const fields = [keyObj.key, keyObj.keyHint, keyObj.shortLink, keyObj.originalLink];
+        if (keyObj.key !== qKeyId
+            && !fields.some(field => field && field.toLowerCase().includes(term))) return false;
+    }
+
+    return true;
+}
+
+// Id da key em /keys/:key e /keys/:key/reset-hwid (no router.use ainda não há
+// req.params); a key digitada em texto puro vira o id gravado para não ir
+// parar na auditoria. POST /keys/revoke, /keys/premium e /keys/import e
+// GET /keys/export não têm key no caminho.
+function pathKeyId(req) {
+    const match = req.path.match(/^\/keys\/([^/]+)(\/reset-hwid)?$/);
+    if (!match || (req.method === 'POST' && !match[2]) || req.path === '/keys/export') return undefined;
+    try {
+        return toKeyId(decodeURIComponent(match[1]));
+    } catch (_) {
+        // Escape % inválido (ex.: %ZZ): usa o trecho como veio
+        return toKeyId(match[1]);
+    }
+}
+
+// Keys geradas (createdAt) e validadas (usedAt) por dia (UTC) nos últimos `days` dias
+function dailyCounts(keys, days, now = Date.now()) {
+    const today = Math.floor(now / DAY_MS);
+    const series = [];
+    const byDay = new Map();
+
+    for (let day = today - days + 1; day <= today; day++) {
+        const entry = { date: new Date(day * DAY_MS).toISOString().slice(0, 10), generated: 0, validated: 0 };
+        series.push(entry);
+        byDay.set(day, entry);
+    }
+
+    for (const keyObj of keys) {
+        const created = keyObj.createdAt && byDay.get(Math.floor(keyObj.createdAt / DAY_MS));
+        if (created) created.generated++;
+        const validated = keyObj.usedAt && byDay.get(Math.floor(keyObj.usedAt / DAY_MS));
+        if (validated) validated.validated++;
+    }
+
+    return series;
+}
+
+// Converte o corpo do PATCH em alterações; retorna { error } se algo for inválido
+function buildKeyChanges(body, current, now = Date.now()) {
+    const changes = {};
+
+    if (body.revoked !== undefined) {
+        if (typeof body.revoked !== 'boolean') return { error: "revoked deve ser booleano" };
+        changes.revoked = body.revoked;
+        changes.revokedAt = body.revoked ? now : null;
+        changes.revokedReason = body.revoked ? (body.reason || null) : null;
+    }
+
+    if (body.used !== undefined) {
+        if (body.used !== false) return { error: "used só pode ser definido como false (reset)" };
+        changes.used = false;
+        changes.usedAt = null;
+        changes.boundTo = [];
+    }
+
+    if (body.resetBindings === true) {
+        changes.boundTo = [];
+    }
+
+    if (body.tier !== undefined) {
+        if (!KEY_TIERS.includes(body.tier)) return { error: `tier inválido (use: ${KEY_TIERS.join(', ')})` };
+        changes.tier = body.tier;
+    }
+
+    if (body.allowedUserId !== undefined) {
+        if (body.allowedUserId !== null && !/^\d{1,20}$/.test(String(body.allowedUserId))) {
+            return { error: "allowedUserId deve ser um userId do Roblox ou null" };
+        }
+        changes.allowedUserId = body.allowedUserId === null ? null : String(body.allowedUserId);
+    }
+
+    if (body.maxIdentities !== undefined) {
+        if (!Number.isInteger(body.maxIdentities) || body.maxIdentities < 1) {
+            return { error: "maxIdentities deve ser um inteiro maior que zero" };
+        }
+        changes.maxIdentities = body.maxIdentities;
+    }
+
+    if (body.expiresAt !== undefined) {
+        const expiresAt = parseTimestamp(body.expiresAt);
+        if (expiresAt === undefined) return { error: "expiresAt inválido" };
+        changes.expiresAt = expiresAt;
+    }
+
+    if (body.extendHours !== undefined) {
+        if (typeof body.extendHours !== 'number' || !(body.extendHours > 0)) {
+            return { error: "extendHours deve ser um número maior que zero" };
+        }
+        const base = changes.expiresAt !== undefined ? changes.expiresAt : getExpiresAt(current);
+        if (base === null) return { error: "Key vitalícia não pode ser estendida" };
+        changes.expiresAt = Math.max(base, now) + body.extendHours * HOUR_MS;
+    }
+
+    if (Object.keys(changes).length === 0) return { error: "Nenhuma alteração informada" };
+    return { changes };
+}
+
+function createAdminRouter(services) {
+    const router = express.Router();
+
+    // Toda chamada admin vai para a auditoria, inclusive as recusadas na autenticação
+    router.use(auditRoute(services.audit, 'admin', req => {
+        const key = pathKeyId(req);
+        return {
+            action: `${req.method} ${req.baseUrl}${key ? req.path.replace(/^\/keys\/[^/]+/, `/keys/${key}`) : req.path}`,
+            key
+        };
+    }));
+    router.use(requireScope(services, 'admin'));
+    router.use('/api-keys', createApiKeysRouter(services));
+    router.use('/projects', createProjectsRouter(services));
+    router.use('/webhooks', createWebhooksRouter(services));
+    router.use('/blacklist', createBlacklistRouter(services));
+    router.use('/sessions', createSessionsRouter(services));
+
+    // Quem está autenticado (usado no login do painel)
+    router.get('/me', (req, res) => {
+        res.json({ success: true, apiKey: req.apiKey });
+    });
+
+    // Registra os slash commands no Discord (DISCORD_APPLICATION_ID + DISCORD_BOT_TOKEN)
+    router.post('/discord/commands', async (req, res) => {
+        try {
+            const commands = await registerCommands();
+            res.json({ success: true, commands: commands.map(command => command.name) });
+        } catch (error) {
+            console.error('Erro ao registrar comandos do Discord:', error.message);
+            res.status(502).json({ success: false, error: `Falha ao registrar comandos: ${error.message}` });
+        }
+    });
+
+    // Estatísticas para o painel: série diária e totais por projeto
+    router.get('/stats', async (req, res) => {
+        try {
+            const days = Math.min(MAX_STATS_DAYS, Math.max(1, parseInt(req.query.days, 10) || 14));
+            const allKeys = await services.keys.all();
+            const keys = req.query.project
+                ? allKeys.filter(keyObj => keyBelongsTo(keyObj, req.query.project))
+                : allKeys;
+
+            const projects = await services.projects.all();
+            if (!projects.some(p => p.id === DEFAULT_PROJECT_ID)) {
+                projects.unshift(await resolveProject(services, DEFAULT_PROJECT_ID));
+            }
+
+            res.json({ 
+                success: true,
+                days: dailyCounts(keys, days),
+                projects: projects.map(project => ({
+                    id: project.id,
+                    name: project.name,
+                    stats: projectStats(allKeys, project.id)
+                }))
+            });
+        } catch (error) {
+            console.error('Erro ao calcular estatísticas:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Consultar a auditoria (filtros: key, ip, type, from, to, limit)
+    router.get('/audit', async (req, res) => {
+        try {
+            const from = req.query.from ? parseTimestamp(isNaN(req.query.from) ? req.query.from : Number(req.query.from)) : null;
+            const to = req.query.to ? parseTimestamp(isNaN(req.query.to) ? req.query.to : Number(req.query.to)) : null;
+
+            if (from === undefined || to === undefined) {
+                return res.status(400).json({ success: false, error: "from/to inválidos" });
+            }
+
+            const events = await services.audit.query({
+                key: toKeyId(req.query.key) || undefined,
+                ip: req.query.ip,
+                type: req.query.type,
+                from,
+                to,
+                limit: parseInt(req.query.limit, 10) || 100
+            });
+
+            res.json({ success: true, events });
+        } catch (error) {
+            console.error('Erro ao consultar auditoria:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Listar keys com paginação e filtros
+    router.get('/keys', async (req, res) => {
+        try {
+            const { status, type, tier } = req.query;
+
+            if (status && !KEY_STATUSES.includes(status)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Status inválido (use: ${KEY_STATUSES.join(', ')})` 
+                });
+            }
+
+            if (type && !KEY_TYPES.includes(type)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Tipo inválido (use: ${KEY_TYPES.join(', ')})` 
+                });
+            }
+
+            if (tier && !KEY_TIERS.includes(tier)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Tier inválido (use: ${KEY_TIERS.join(', ')})` 
+                });
+            }
+
+            const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+            const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE));
+            const now = Date.now();
+
+            const query = { ...req.query, qKeyId: toKeyId(req.query.q) };
+
+            const filtered = (await services.keys.all())
+                .filter(keyObj => matchesQuery(keyObj, query, now))
+                .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+            res.json({ 
+                success: true,
+                total: filtered.length,
+                page,
+                limit,
+                keys: filtered.slice((page - 1) * limit, page * limit).map(keyObj => ({
+                    ...keyObj,
+                    status: getKeyStatus(keyObj, now)
+                }))
+            });
+        } catch (error) {
+            console.error('Erro ao listar keys:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Exportar keys em CSV ou JSON (mesmos filtros: project, status, type, tier, createdFrom, createdTo)
+    router.get('/keys/export', async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+
+            if (!TRANSFER_FORMATS.includes(format)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Formato inválido (use: ${TRANSFER_FORMATS.join(', ')})` 
+                });
+            }
+
+            const { error, filter } = buildExportFilter(req.query);
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const { count, content } = await exportKeys(services.keys, { format, filter });
+            const date = new Date().toISOString().slice(0, 10);
+
+            console.log(`${count} keys exportadas (${format}) por ${req.apiKey?.name || 'admin'}`);
+
+            res.set('Cache-Control', 'no-store')
+                .attachment(`keys-${req.query.project || 'todas'}-${date}.${format}`)
+                .type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8')
+                .send(content);
+        } catch (error) {
+            console.error('Erro ao exportar keys:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Importar keys de CSV (Content-Type: text/csv) ou JSON (lista ou { keys: [...] }).
+    // ?dryRun=true só valida e devolve o relatório; ?project= é o padrão das linhas sem project;
+    // ?skipDuplicates=true pula as keys que já existem em vez de listá-las como erro.
+    router.post('/keys/import', express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }), async (req, res) => {
+        try {
+            const format = req.query.format || (req.is('text/csv') || req.is('text/plain') ? 'csv' : 'json');
+
+            if (!TRANSFER_FORMATS.includes(format)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Formato inválido (use: ${TRANSFER_FORMATS.join(', ')})` 
+                });
+            }
+
+            const parsed = parseImport(req.body, format);
+
+            if (parsed.error) {
+                return res.status(400).json({ success: false, error: parsed.error });
+            }
+
+            if (parsed.records.length > MAX_IMPORT_ROWS) {
+                return res.status(413).json({ 
+                    success: false,
+                    error: `Máximo de ${MAX_IMPORT_ROWS} keys por importação` 
+                });
+            }
+
+            const report = await importKeys(services, parsed.records, {
+                project: req.query.project,
+                dryRun: req.query.dryRun === 'true',
+                skipDuplicates: req.query.skipDuplicates === 'true'
+            });
+
+            if (!report.dryRun) {
+                console.log(`${report.imported} keys importadas por ${req.apiKey?.name || 'admin'} (${report.failed} com erro)`);
+            }
+
+            res.json({ success: true, ...report });
+        } catch (error) {
+            console.error('Erro ao importar keys:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Revogar várias keys de uma vez
+    router.post('/keys/revoke', async (req, res) => {
+        try {
+            const { keys, reason } = req.body;
+
+            if (!Array.isArray(keys) || keys.length === 0) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: "keys deve ser uma lista não vazia" 
+                });
+            }
+
+            const now = Date.now();
+            const notFound = [];
+            let revoked = 0;
+
+            for (const key of keys) {
+                const updated = await services.keys.update(toKeyId(String(key)), {
+                    revoked: true,
+                    revokedAt: now,
+                    revokedReason: reason || null
+                });
+                if (updated) revoked++;
+                else notFound.push(key);
+            }
+
+            console.log(`${revoked} keys revogadas pelo admin`);
+
+            res.json({ success: true, revoked, notFound });
+        } catch (error) {
+            console.error('Erro ao revogar keys:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Emitir keys premium em lote (sem encurtador). Com userIds, cada key fica
+    // reservada para um jogador; sem, são geradas `count` keys livres.
+    router.post('/keys/premium', async (req, res) => {
+        try {
+            const { userIds, count, type = 'lifetime', durationHours, maxIdentities, note } = req.body;
+            const project = await resolveProject(services, req.body.project);
+
+            if (!project) {
+                return res.status(404).json({ success: false, error: "Projeto não encontrado" });
+            }
+
+            if (userIds !== undefined && (!Array.isArray(userIds) || userIds.length === 0
+                || !userIds.every(id => /^\d{1,20}$/.test(String(id))))) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: "userIds deve ser uma lista de userIds do Roblox" 
+                });
+            }
+
+            const total = userIds ? userIds.length : (count === undefined ? 1 : count);
+
+            if (!Number.isInteger(total) || total < 1 || total > MAX_PREMIUM_BATCH) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `count deve ser um inteiro entre 1 e ${MAX_PREMIUM_BATCH}` 
+                });
+            }
+
+            if (!KEY_TYPES.includes(type)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Tipo de key inválido (use: ${KEY_TYPES.join(', ')})` 
+                });
+            }
+
+            if (durationHours !== undefined && (typeof durationHours !== 'number' || !(durationHours > 0))) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: "durationHours deve ser um número maior que zero" 
+                });
+            }
+
+            if (maxIdentities !== undefined && (!Number.isInteger(maxIdentities) || maxIdentities < 1)) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: "maxIdentities deve ser um inteiro maior que zero" 
+                });
+            }
+
+            const now = Date.now();
+            const keys = [];
+
+            for (let i = 0; i < total; i++) {
+                const { keyObject, plainKey } = await createKey(services.keys, {
+                    project,
+                    type,
+                    durationHours,
+                    maxIdentities,
+                    tier: 'premium',
+                    source: 'premium',
+                    note: note || undefined,
+                    allowedUserId: userIds ? String(userIds[i]) : undefined
+                }, now);
+                keys.push({ ...keyObject, key: plainKey });
+            }
+
+            console.log(`${keys.length} keys premium emitidas pelo admin (${project.id})`);
+
+            res.status(201).json({
+                success: true,
+                count: keys.length,
+                keys: keys.map(keyObj => ({
+                    key: keyObj.key,
+                    type: keyObj.type,
+                    allowedUserId: keyObj.allowedUserId,
+                    expiresAt: keyObj.expiresAt ? new Date(keyObj.expiresAt).toISOString() : null
+                }))
+            });
+        } catch (error) {
+            console.error('Erro ao emitir keys premium:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Detalhes de uma key
+    router.get('/keys/:key', async (req, res) => {
+        try {
+            const found = await services.keys.get(toKeyId(req.params.key));
+
+            if (!found) {
+                return res.status(404).json({ success: false, error: "Key não encontrada" });
+            }
+
+            const now = Date.now();
+            const activeSessions = (await services.liveSessions.find({ key: found.key }))
+                .filter(session => isLive(session, now)).length;
+
+            res.json({ success: true, key: { ...found, status: getKeyStatus(found, now), activeSessions } });
+        } catch (error) {
+            console.error('Erro ao buscar key:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Editar key: revogar, resetar uso, estender expiração, alterar limite de identidades
+    router.patch('/keys/:key', async (req, res) => {
+        try {
+            let error;
+            const updated = await services.keys.update(toKeyId(req.params.key), current => {
+                const result = buildKeyChanges(req.body || {}, current);
+                error = result.error;
+                return result.changes;
+            });
+
+            if (!updated) {
+                return res.status(404).json({ success: false, error: "Key não encontrada" });
+            }
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            console.log(`Key alterada pelo admin: ${keyLabel(updated)}`);
+
+            res.json({ success: true, key: { ...updated, status: getKeyStatus(updated) } });
+        } catch (error) {
+            console.error('Erro ao alterar key:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Resetar vínculos (userId/HWID) ignorando limite e intervalo do jogador
+    router.post('/keys/:key/reset-hwid', async (req, res) => {
+        try {
+            let result;
+            const found = await services.keys.get(toKeyId(req.params.key));
+
+            if (!found) {
+                return res.status(404).json({ success: false, error: "Key não encontrada" });
+            }
+
+            const project = await resolveProject(services, found.project);
+            const updated = await services.keys.update(found.key, current => {
+                result = evaluateReset(current, {
+                    by: 'admin',
+                    actor: req.apiKey?.name,
+                    override: true,
+                    rules: getResetRules(project || {})
+                });
+                return result.changes;
+            });
+
+            if (!updated) {
+                return res.status(404).json({ success: false, error: "Key não encontrada" });
+            }
+
+            console.log(`${result.log}: ${keyLabel(updated)}`);
+
+            // Revogada, expirada ou sem vínculo (409: o 403 derrubaria o login do painel)
+            if (!result.body.success) {
+                return res.status(409).json(result.body);
+            }
+
+            services.webhooks.dispatch('key.reset', {
+                key: updated.key,
+                keyHint: updated.keyHint,
+                project: updated.project || DEFAULT_PROJECT_ID,
+                by: 'admin',
+                actor: req.apiKey?.name
+            });
+
+            res.json({ ...result.body, key: { ...updated, status: getKeyStatus(updated) } });
+        } catch (error) {
+            console.error('Erro ao resetar HWID:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Remover key
+    router.delete('/keys/:key', async (req, res) => {
+        try {
+            const removed = await services.keys.remove(toKeyId(req.params.key));
+
+            if (!removed) {
+                return res.status(404).json({ success: false, error: "Key não encontrada" });
+            }
+
+            console.log(`Key removida pelo admin: ${maskKey(req.params.key)}`);
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao remover key:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
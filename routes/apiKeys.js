@@ -0,0 +1,84 @@
+// Gerenciamento das API keys do servidor (montado em /admin/api-keys)
+const express = require('express');
+const { API_SCOPES, createApiKey } = require('../lib/auth');
+
+// Nunca expor o hash do token
+function publicApiKey({ tokenHash, ...apiKey }) {
+    return apiKey;
+}
+
+function createApiKeysRouter(services) {
+    const router = express.Router();
+
+    // Listar API keys
+    router.get('/', async (req, res) => {
+        try {
+            const apiKeys = (await services.apiKeys.all())
+                .sort((a, b) => b.createdAt - a.createdAt)
+                .map(publicApiKey);
+
+            res.json({ success: true, apiKeys });
+        } catch (error) {
+            console.error('Erro ao listar API keys:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Criar API key (o token só aparece nesta resposta)
+    router.post('/', async (req, res) => {
+        try {
+            const { name, scopes } = req.body;
+
+            if (!name || typeof name !== 'string') {
+                return res.status(400).json({ 
+                    success: false,
+                    error: "Nome é obrigatório" 
+                });
+            }
+
+            if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => API_SCOPES.includes(s))) {
+                return res.status(400).json({ 
+                    success: false,
+                    error: `Escopos inválidos (use: ${API_SCOPES.join(', ')})` 
+                });
+            }
+
+            const { apiKey, token } = await createApiKey(services.apiKeys, {
+                name: name.trim(),
+                scopes: [...new Set(scopes)]
+            });
+
+            console.log(`API key criada: ${apiKey.name} (${apiKey.scopes.join(', ')})`);
+
+            res.status(201).json({ success: true, token, apiKey: publicApiKey(apiKey) });
+        } catch (error) {
+            console.error('Erro ao criar API key:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Revogar API key (o registro é mantido para histórico)
+    router.delete('/:id', async (req, res) => {
+        try {
+            const updated = await services.apiKeys.update(req.params.id, {
+                revoked: true,
+                revokedAt: Date.now()
+            });
+
+            if (!updated) {
+                return res.status(404).json({ success: false, error: "API key não encontrada" });
+            }
+
+            console.log(`API key revogada: ${updated.name}`);
+
+            res.json({ success: true, apiKey: publicApiKey(updated) });
+        } catch (error) {
+            console.error('Erro ao revogar API key:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createApiKeysRouter };
@@ -0,0 +1,167 @@
+// Gerenciamento da blacklist (montado em /admin/blacklist)
+const express = require('express');
+const { BLACKLIST_TYPES, normalizeValue, isActive } = require('../lib/blacklist');
+const { HOUR_MS } = require('../lib/keys');
+const { isKeyId, keyHint } = require('../lib/keyHash');
+
+// expiresAt (ms, ISO ou null) ou durationHours; undefined = não informado, false = inválido
+function parseExpiry(body, now = Date.now()) {
+    if (body.durationHours !== undefined) {
+        if (typeof body.durationHours !== 'number' || !(body.durationHours > 0)) return false;
+        return now + body.durationHours * HOUR_MS;
+    }
+
+    if (body.expiresAt === undefined) return undefined;
+    if (body.expiresAt === null) return null;
+
+    const time = typeof body.expiresAt === 'number' ? body.expiresAt : Date.parse(body.expiresAt);
+    return Number.isFinite(time) && time > now ? time : false;
+}
+
+function createBlacklistRouter(services) {
+    const router = express.Router();
+    const { blacklist } = services;
+
+    // Listar entradas (filtros: type, q; expiradas só com includeExpired=true)
+    router.get('/', (req, res) => {
+        try {
+            const { type, q } = req.query;
+            const now = Date.now();
+            const term = q ? String(q).toLowerCase() : null;
+
+            const entries = blacklist.list()
+                .filter(entry => req.query.includeExpired === 'true' || isActive(entry, now))
+                .filter(entry => !type || entry.type === type)
+                .filter(entry => !term
+                    || entry.value.toLowerCase().includes(term)
+                    || (entry.label || '').toLowerCase().includes(term)
+                    || (entry.reason || '').toLowerCase().includes(term))
+                .sort((a, b) => b.createdAt - a.createdAt);
+
+            res.json({ success: true, total: entries.length, entries });
+        } catch (error) {
+            console.error('Erro ao listar blacklist:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Adicionar entrada
+    router.post('/', async (req, res) => {
+        try {
+            const { type, reason } = req.body;
+
+            if (!BLACKLIST_TYPES.includes(type)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `type inválido (use: ${BLACKLIST_TYPES.join(', ')})`
+                });
+            }
+
+            const value = normalizeValue(type, req.body.value);
+
+            if (!value) {
+                return res.status(400).json({
+                    success: false,
+                    error: type === 'ip' ? "value deve ser um IP ou faixa CIDR" : `value inválido para ${type}`
+                });
+            }
+
+            const expiresAt = parseExpiry(req.body);
+
+            if (expiresAt === false) {
+                return res.status(400).json({
+                    success: false,
+                    error: "expiresAt deve ser uma data futura (ou use durationHours > 0)"
+                });
+            }
+
+            if (blacklist.findByValue(type, value)) {
+                return res.status(409).json({
+                    success: false,
+                    error: "Já existe uma entrada para este valor"
+                });
+            }
+
+            // Key informada em texto puro: guarda só o trecho inicial como rótulo
+            const plain = String(req.body.value).trim();
+            const entry = await blacklist.add({
+                type,
+                value,
+                label: isKeyId(value) && !isKeyId(plain) ? keyHint(plain) : undefined,
+                reason: typeof reason === 'string' ? reason.trim().slice(0, 500) : null,
+                expiresAt,
+                createdBy: req.apiKey?.name
+            });
+
+            console.log(`Adicionado à blacklist: ${type} ${entry.label || value}`);
+
+            res.status(201).json({ success: true, entry });
+        } catch (error) {
+            console.error('Erro ao adicionar à blacklist:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Alterar motivo ou expiração
+    router.patch('/:id', async (req, res) => {
+        try {
+            const changes = {};
+
+            if (req.body.reason !== undefined) {
+                if (req.body.reason !== null && typeof req.body.reason !== 'string') {
+                    return res.status(400).json({ success: false, error: "reason deve ser texto ou null" });
+                }
+                changes.reason = req.body.reason ? req.body.reason.trim().slice(0, 500) : null;
+            }
+
+            const expiresAt = parseExpiry(req.body);
+
+            if (expiresAt === false) {
+                return res.status(400).json({
+                    success: false,
+                    error: "expiresAt deve ser uma data futura (ou use durationHours > 0)"
+                });
+            }
+            if (expiresAt !== undefined) changes.expiresAt = expiresAt;
+
+            if (Object.keys(changes).length === 0) {
+                return res.status(400).json({ success: false, error: "Nenhuma alteração informada" });
+            }
+
+            if (!blacklist.get(req.params.id)) {
+                return res.status(404).json({ success: false, error: "Entrada não encontrada" });
+            }
+
+            const entry = await blacklist.update(req.params.id, changes);
+
+            res.json({ success: true, entry });
+        } catch (error) {
+            console.error('Erro ao alterar blacklist:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Remover entrada
+    router.delete('/:id', async (req, res) => {
+        try {
+            const entry = blacklist.get(req.params.id);
+
+            if (!entry) {
+                return res.status(404).json({ success: false, error: "Entrada não encontrada" });
+            }
+
+            await blacklist.remove(entry.id);
+
+            console.log(`Removido da blacklist: ${entry.type} ${entry.label || entry.value}`);
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao remover da blacklist:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createBlacklistRouter };
@@ -0,0 +1,254 @@
+// Fluxo "obter key" do jogador: /getkey -> checkpoints Monetizzy -> key
+const express = require('express');
+const { shortenLink, getShortenerChain } = require('../lib/shorteners');
+const { createKey, KEY_TYPES } = require('../lib/keys');
+const { keyLabel } = require('../lib/keyHash');
+const { escapeHtml, renderPage, getBaseUrl } = require('../lib/pages');
+const { RATE_LIMITS, rateLimit } = require('../lib/rateLimit');
+const { resolveProject } = require('../lib/projects');
+const { blacklistGuard } = require('../lib/blacklist');
+const {
+    CHECKPOINT_STEPS,
+    verifyToken,
+    createSession,
+    issueStep,
+    consumeStep,
+    sealGeneratedKey,
+    revealKey
+} = require('../lib/checkpoint');
+
+const CHECKPOINT_KEY_TYPE = KEY_TYPES.includes(process.env.CHECKPOINT_KEY_TYPE)
+    ? process.env.CHECKPOINT_KEY_TYPE
+    : 'standard';
+
+// Cria o link encurtado do próximo checkpoint da sessão
+async function createStepLink(req, session, project) {
+    const { token, pending } = issueStep(session);
+    const destination = `${getBaseUrl(req)}/checkpoint/callback?t=${encodeURIComponent(token)}`;
+
+    // O destino é o callback que libera a key: nada de provedor que o deixe legível
+    const { url, provider } = await shortenLink(destination, getShortenerChain(project), { hideDestination: true });
+    pending.shortLink = url;
+    pending.shortener = provider;
+
+    return pending;
+}
+
+function errorPage(res, status, message) {
+    return res.status(status).send(renderPage({
+        title: 'Obter Key',
+        heading: '❌ Erro',
+        content: `
+            <p class="error">${escapeHtml(message)}</p>
+            <a href="/getkey" class="btn">Começar novamente</a>`
+    }));
+}
+
+function keyPage(res, plainKey) {
+    return res.set('Cache-Control', 'no-store').send(renderPage({
+        title: 'Sua Key',
+        heading: '✅ Key Gerada!',
+        content: `
+            <p>Você concluiu todos os checkpoints.</p>
+            <div class="key-display" id="key">${escapeHtml(plainKey)}</div>
+            <button class="btn" onclick="navigator.clipboard.writeText(document.getElementById('key').textContent)">📋 Copiar Key</button>`
+    }));
+}
+
+function createCheckpointRouter(services) {
+    const router = express.Router();
+
+    // Consome o checkpoint do token junto com os campos extras; a checagem roda
+    // de novo dentro do update, então dois callbacks iguais não avançam duas vezes
+    async function commitStep(payload, ip, extra) {
+        let error;
+        const session = await services.checkpointSessions.update(payload.s, current => {
+            const result = consumeStep(current, payload, { ip });
+            error = result.error;
+            return result.changes && { ...result.changes, ...extra };
+        });
+        return { session, error: session ? error : 'Sessão não encontrada' };
+    }
+
+    // Página inicial do fluxo (/getkey?project=<id>)
+    router.get('/getkey', async (req, res) => {
+        const project = await resolveProject(services, req.query.project).catch(() => null);
+
+        if (!project) {
+            return errorPage(res, 404, 'Projeto não encontrado');
+        }
+
+        res.send(renderPage({
+            title: 'Obter Key',
+            heading: `🔑 ${project.name}`,
+            content: `
+            <p>Complete ${project.checkpointSteps || CHECKPOINT_STEPS} checkpoint(s) para receber sua key.</p>
+            <button class="btn" id="startBtn">▶️ Começar</button>
+            <p class="error" id="error"></p>
+            <script>
+                document.getElementById('startBtn').addEventListener('click', async (e) => {
+                    e.target.disabled = true;
+                    try {
+                        const response = await fetch('/checkpoint/start', {
+                            method: 'POST',
+                            headers: { 'Content-Type': 'application/json' },
+                            body: JSON.stringify({ project: ${JSON.stringify(project.id)} })
+                        });
+                        const data = await response.json();
+                        if (data.success) {
+                            window.location.href = data.url;
+                            return;
+                        }
+                        document.getElementById('error').textContent = data.error || 'Erro desconhecido';
+                    } catch (error) {
+                        document.getElementById('error').textContent = 'Não foi possível conectar ao servidor.';
+                    }
+                    e.target.disabled = false;
+                });
+            </script>`
+        }));
+    });
+
+    // Iniciar sessão de checkpoints e devolver o primeiro link
+    // Cada início gasta uma chamada ao Monetizzy, então o limite é mais baixo
+    router.post('/checkpoint/start', rateLimit(services.rateLimiter, {
+        bucket: 'checkpoint',
+        limits: RATE_LIMITS.checkpoint
+    }), blacklistGuard(services.blacklist), async (req, res) => {
+        try {
+            const project = await resolveProject(services, req.body?.project);
+
+            if (!project) {
+                return res.status(404).json({ 
+                    success: false,
+                    error: "Projeto não encontrado" 
+                });
+            }
+
+            const session = createSession({
+                ip: req.ip,
+                project: project.id,
+                totalSteps: project.checkpointSteps || CHECKPOINT_STEPS
+            });
+            const pending = await createStepLink(req, session, project);
+
+            await services.checkpointSessions.insert({ ...session, pending });
+
+            console.log(`Sessão de checkpoint iniciada: ${session.id}`);
+
+            res.json({ 
+                success: true,
+                sessionId: session.id,
+                step: pending.step,
+                totalSteps: session.totalSteps,
+                url: pending.shortLink
+            });
+        } catch (error) {
+            console.error('Erro ao iniciar checkpoint:', error.message);
+            const status = { ECONNABORTED: 408, CIRCUIT_OPEN: 503 }[error.code] || 502;
+            res.status(status).json({ 
+                success: false,
+                error: "Não foi possível gerar o link do checkpoint" 
+            });
+        }
+    });
+
+    // Retorno do link encurtado: valida o token, avança ou entrega a key.
+    // Nada é gravado antes do próximo link ou da key existir: se o encurtador
+    // falhar, o mesmo link de checkpoint pode ser aberto de novo.
+    router.get('/checkpoint/callback', async (req, res) => {
+        try {
+            const payload = verifyToken(req.query.t);
+
+            if (!payload) {
+                return errorPage(res, 400, 'Link de checkpoint inválido ou expirado');
+            }
+
+            const current = await services.checkpointSessions.get(payload.s);
+
+            if (!current) {
+                return errorPage(res, 404, 'Sessão não encontrada');
+            }
+
+            // Página final recarregada: mostra a mesma key
+            const revealed = revealKey(current, payload, { ip: req.ip });
+            if (revealed) {
+                return keyPage(res, revealed);
+            }
+
+            const check = consumeStep(current, payload, { ip: req.ip });
+
+            if (check.error) {
+                return errorPage(res, 400, check.error);
+            }
+
+            const project = await resolveProject(services, current.project);
+
+            if (!project) {
+                return errorPage(res, 404, 'Projeto não encontrado');
+            }
+
+            const next = { ...current, ...check.changes };
+
+            // Ainda há checkpoints: mandar para o próximo link
+            if (next.completedSteps < next.totalSteps) {
+                const pending = await createStepLink(req, next, project).catch(error => {
+                    console.error('Erro ao gerar o próximo checkpoint:', error.message);
+                    return null;
+                });
+
+                if (!pending) {
+                    return errorPage(res, 502, 'Não foi possível gerar o próximo checkpoint, recarregue a página para tentar de novo');
+                }
+
+                const { error } = await commitStep(payload, req.ip, { pending });
+
+                if (error) {
+                    return errorPage(res, 400, error);
+                }
+
+                console.log(`Checkpoint ${next.completedSteps}/${next.totalSteps} concluído: ${current.id}`);
+
+                return res.redirect(pending.shortLink);
+            }
+
+            // Último checkpoint: criar a key (descartada se outro callback fechar a sessão antes)
+            const { keyObject, plainKey } = await createKey(services.keys, {
+                project,
+                type: project.defaultKeyType || CHECKPOINT_KEY_TYPE,
+                source: 'checkpoint',
+                checkpointSession: current.id
+            });
+
+            const { error } = await commitStep(payload, req.ip, {
+                key: keyObject.key,
+                sealedKey: sealGeneratedKey(plainKey),
+                completedAt: Date.now()
+            });
+
+            if (error) {
+                await services.keys.remove(keyObject.key);
+                return errorPage(res, 400, error);
+            }
+
+            console.log(`Nova key gerada via checkpoint: ${keyLabel(keyObject)}`);
+            services.webhooks.dispatch('key.generated', {
+                key: keyObject.key,
+                keyHint: keyObject.keyHint,
+                project: keyObject.project,
+                type: keyObject.type,
+                source: 'checkpoint',
+                ip: req.ip
+            });
+
+            keyPage(res, plainKey);
+        } catch (error) {
+            console.error('Erro no callback de checkpoint:', error.message);
+            errorPage(res, 500, 'Erro interno do servidor');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createCheckpointRouter };
@@ -0,0 +1,278 @@
+// Slash commands do Discord (POST /discord/interactions)
+const express = require('express');
+const { auditRoute } = require('../lib/audit');
+const { getBaseUrl, isValidUrl } = require('../lib/pages');
+const { keyId, keyLabel, keyMatches, maskKey, toKeyId } = require('../lib/keyHash');
+const { shortenLink, getShortenerChain } = require('../lib/shorteners');
+const { resolveProject, keyBelongsTo, getKeyProject, normalizeProjectKey } = require('../lib/projects');
+const {
+    KEY_TYPES,
+    createKey,
+    getKeyStatus,
+    getKeyTier,
+    getExpiresAt,
+    getResetRules,
+    evaluateReset
+} = require('../lib/keys');
+const {
+    DISCORD_PROJECT,
+    INTERACTION_TYPES,
+    RESPONSE_TYPES,
+    EPHEMERAL,
+    isDiscordEnabled,
+    verifyInteraction,
+    getOptions,
+    getDiscordUser,
+    isStaff,
+    isStaffCommand,
+    message,
+    editOriginal
+} = require('../lib/discord');
+
+const MALFORMED_KEY = '❌ Key inválida, confira se foi digitada corretamente.';
+
+// Timestamp relativo do Discord (ex.: "em 3 horas")
+function discordTime(timestamp) {
+    return timestamp ? `<t:${Math.floor(timestamp / 1000)}:R>` : 'nunca (vitalícia)';
+}
+
+// Cada comando recebe { req, interaction, options, user, project } e devolve o texto da resposta
+const COMMANDS = {
+    async getkey({ req, project }) {
+        return `🔑 Obtenha sua key em: ${getBaseUrl(req)}/getkey?project=${encodeURIComponent(project.id)}`;
+    },
+
+    // Vincula a key à conta do Discord (permite /resethwid sem staff)
+    async redeem({ services, options, user, project }) {
+        const key = normalizeProjectKey(String(options.key), project);
+        if (!key) return MALFORMED_KEY;
+
+        let outcome;
+        await services.keys.update(keyId(key), current => {
+            if (!keyMatches(current, key) || !keyBelongsTo(current, project.id)) return null;
+
+            const status = getKeyStatus(current);
+            if (status === 'revoked' || status === 'expired') {
+                outcome = `❌ Key ${status === 'revoked' ? 'revogada' : 'expirada'}.`;
+                return null;
+            }
+            if (current.discordUserId && current.discordUserId !== user.id) {
+                outcome = '❌ Essa key já foi resgatada por outra conta.';
+                return null;
+            }
+
+            outcome = `✅ Key resgatada! Tipo: ${current.type || 'standard'} (${getKeyTier(current)}), expira ${discordTime(getExpiresAt(current))}.`;
+            if (current.discordUserId) return null;
+            return { discordUserId: user.id, redeemedAt: Date.now() };
+        });
+
+        return outcome || '❌ Key não encontrada.';
+    },
+
+    // O dono (quem resgatou) ou a staff pode liberar os vínculos de userId/HWID
+    async resethwid({ services, interaction, options, user, project }) {
+        const key = normalizeProjectKey(String(options.key), project);
+        if (!key) return MALFORMED_KEY;
+
+        // Staff ignora o limite de resets; o dono segue as regras do projeto
+        const staff = isStaff(interaction);
+        let outcome;
+        let reset = false;
+        const found = await services.keys.update(keyId(key), current => {
+            if (!keyMatches(current, key) || !keyBelongsTo(current, project.id)) return null;
+
+            if (!staff && current.discordUserId !== user.id) {
+                outcome = '❌ Só quem resgatou a key (/redeem) pode resetar o HWID.';
+                return null;
+            }
+
+            const result = evaluateReset(current, {
+                by: 'discord',
+                actor: user.id,
+                override: staff,
+                rules: getResetRules(project)
+            });
+            reset = result.body.success;
+            outcome = reset
+                ? `✅ ${result.body.message}`
+                : `❌ ${result.body.error}${result.body.nextResetAt ? ` (liberado ${discordTime(Date.parse(result.body.nextResetAt))})` : ''}.`;
+            return result.changes;
+        });
+
+        if (found && reset) {
+            console.log(`HWID resetado via Discord: ${keyLabel(found)}`);
+            services.webhooks.dispatch('key.reset', {
+                key: found.key,
+                keyHint: found.keyHint,
+                project: project.id,
+                by: 'discord',
+                actor: user.id
+            });
+        }
+
+        return outcome || '❌ Key não encontrada.';
+    },
+
+    async genkey({ services, req, options, project }) {
+        const link = typeof options.link === 'string' ? options.link.trim() : '';
+        const { type, duration_hours: durationHours, max_identities: maxIdentities } = options;
+
+        if (!isValidUrl(link)) return '❌ URL inválida.';
+        if (type !== undefined && !KEY_TYPES.includes(type)) return '❌ Tipo de key inválido.';
+        if (durationHours !== undefined && !(durationHours > 0)) return '❌ duration_hours deve ser maior que zero.';
+        if (maxIdentities !== undefined && (!Number.isInteger(maxIdentities) || maxIdentities < 1)) {
+            return '❌ maxIdentities deve ser um inteiro maior que zero';
+        }
+
+        const { url: shortLink, provider } = await shortenLink(link, getShortenerChain(project));
+        if (!shortLink) return '❌ Erro ao gerar link encurtado.';
+
+        const { keyObject, plainKey } = await createKey(services.keys, {
+            project,
+            type,
+            durationHours,
+            maxIdentities,
+            shortLink,
+            shortener: provider,
+            originalLink: link,
+            source: 'discord'
+        });
+
+        console.log(`Nova key gerada via Discord: ${keyLabel(keyObject)}`);
+        services.webhooks.dispatch('key.generated', {
+            key: keyObject.key,
+            keyHint: keyObject.keyHint,
+            project: keyObject.project,
+            type: keyObject.type,
+            shortener: provider,
+            source: 'discord',
+            ip: req.ip
+        });
+
+        return `✅ Key gerada: \`${plainKey}\`\nLink: ${shortLink}\nExpira ${discordTime(keyObject.expiresAt)}`;
+    },
+
+    async lookup({ services, options, project }) {
+        const key = normalizeProjectKey(String(options.key), project);
+        if (!key) return MALFORMED_KEY;
+
+        const keyObj = await services.keys.get(keyId(key));
+        if (!keyObj || !keyMatches(keyObj, key) || !keyBelongsTo(keyObj, project.id)) return '❌ Key não encontrada.';
+
+        const bindings = (keyObj.boundTo || [])
+            .map(b => [b.userId && `userId ${b.userId}`, b.hwid && `HWID ${b.hwid}`].filter(Boolean).join(' / '))
+            .join(', ');
+
+        return [
+            `🔎 \`${keyLabel(keyObj)}\``,
+            `Projeto: ${getKeyProject(keyObj)} | Tipo: ${keyObj.type || 'standard'} | Tier: ${getKeyTier(keyObj)} | Status: ${getKeyStatus(keyObj)}`,
+            `Criada ${discordTime(keyObj.createdAt)}, expira ${discordTime(getExpiresAt(keyObj))}`,
+            `Vínculos: ${bindings || 'nenhum'}`,
+            `Resgatada por: ${keyObj.discordUserId ? `<@${keyObj.discordUserId}>` : 'ninguém'}`,
+            keyObj.revoked ? `Revogada: ${keyObj.revokedReason || 'sem motivo'}` : null
+        ].filter(Boolean).join('\n');
+    },
+
+    async revoke({ services, options, user, project }) {
+        const key = normalizeProjectKey(String(options.key), project);
+        if (!key) return MALFORMED_KEY;
+
+        let found = false;
+        await services.keys.update(keyId(key), current => {
+            if (!keyMatches(current, key) || !keyBelongsTo(current, project.id)) return null;
+            found = true;
+            return {
+                revoked: true,
+                revokedAt: Date.now(),
+                revokedReason: options.reason || `Revogada no Discord por ${user.username || user.id}`
+            };
+        });
+
+        if (!found) return '❌ Key não encontrada.';
+        console.log(`Key revogada via Discord: ${maskKey(key)}`);
+        return '✅ Key revogada.';
+    }
+};
+
+// Comandos que podem demorar mais que os 3s do Discord (encurtador)
+const DEFERRED_COMMANDS = ['genkey'];
+
+function createDiscordRouter(services) {
+    const router = express.Router();
+
+    // Roda antes da assinatura ser conferida: o corpo pode ter qualquer formato
+    router.post('/discord/interactions', auditRoute(services.audit, 'discord', req => {
+        const data = req.body?.data;
+        const options = Array.isArray(data?.options) ? data.options : [];
+        const key = options.find(option => option?.name === 'key')?.value;
+        const discordUserId = req.body && getDiscordUser(req.body).id;
+        return {
+            action: typeof data?.name === 'string' ? data.name : undefined,
+            key: typeof key === 'string' ? toKeyId(key) || undefined : undefined,
+            discordUserId: typeof discordUserId === 'string' ? discordUserId : undefined
+        };
+    }), async (req, res) => {
+        try {
+            if (!isDiscordEnabled()) {
+                return res.status(503).json({ success: false, error: "Integração com o Discord não configurada" });
+            }
+
+            if (!verifyInteraction(req.get('X-Signature-Ed25519'), req.get('X-Signature-Timestamp'), req.rawBody)) {
+                return res.status(401).json({ success: false, error: "Assinatura inválida" });
+            }
+
+            const interaction = req.body;
+
+            if (interaction.type === INTERACTION_TYPES.PING) {
+                return res.json({ type: RESPONSE_TYPES.PONG });
+            }
+
+            if (interaction.type !== INTERACTION_TYPES.APPLICATION_COMMAND) {
+                return res.status(400).json({ success: false, error: "Tipo de interação não suportado" });
+            }
+
+            const name = interaction.data?.name;
+            const handler = COMMANDS[name];
+
+            if (!handler) {
+                return res.json(message('❌ Comando desconhecido.'));
+            }
+
+            if (isStaffCommand(name) && !isStaff(interaction)) {
+                return res.json(message('⛔ Apenas a staff pode usar este comando.'));
+            }
+
+            const options = getOptions(interaction);
+            const project = await resolveProject(services, options.project || DISCORD_PROJECT);
+
+            if (!project) {
+                return res.json(message('❌ Projeto não encontrado.'));
+            }
+
+            const context = { services, req, interaction, options, user: getDiscordUser(interaction), project };
+
+            if (!DEFERRED_COMMANDS.includes(name)) {
+                return res.json(message(await handler(context)));
+            }
+
+            // Responde na hora e edita a mensagem quando o comando terminar
+            res.json({ type: RESPONSE_TYPES.DEFERRED_MESSAGE, data: { flags: EPHEMERAL } });
+
+            const content = await handler(context).catch(error => {
+                console.error(`Erro no comando /${name} do Discord:`, error.message);
+                return '❌ Erro interno do servidor.';
+            });
+            await editOriginal(interaction, content)
+                .catch(error => console.error('Erro ao responder interação do Discord:', error.message));
+        } catch (error) {
+            console.error('Erro na interação do Discord:', error.message);
+            if (!res.headersSent) {
+                res.json(message('❌ Erro interno do servidor.'));
+            }
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createDiscordRouter };
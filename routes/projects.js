@@ -0,0 +1,285 @@
+// Cadastro de projetos/scripts (montado em /admin/projects)
+const express = require('express');
+const {
+    DEFAULT_PROJECT_ID,
+    resolveProject,
+    publicProject,
+    buildProjectChanges,
+    projectStats,
+    getProjectSigner
+} = require('../lib/projects');
+const { buildLoader } = require('../lib/loader');
+const { getBaseUrl } = require('../lib/pages');
+const { buildScriptChanges, publicScript, findWatermark } = require('../lib/scripts');
+const { toKeyId } = require('../lib/keyHash');
+
+function createProjectsRouter(services) {
+    const router = express.Router();
+
+    // Listar projetos com estatísticas
+    router.get('/', async (req, res) => {
+        try {
+            const keys = await services.keys.all();
+            const projects = await services.projects.all();
+
+            if (!projects.some(p => p.id === DEFAULT_PROJECT_ID)) {
+                projects.unshift(await resolveProject(services, DEFAULT_PROJECT_ID));
+            }
+
+            res.json({ 
+                success: true,
+                projects: projects.map(project => ({
+                    ...publicProject(project),
+                    stats: projectStats(keys, project.id)
+                }))
+            });
+        } catch (error) {
+            console.error('Erro ao listar projetos:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Criar projeto
+    router.post('/', async (req, res) => {
+        try {
+            const { error, changes } = buildProjectChanges(req.body || {}, { creating: true });
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            if (await services.projects.get(changes.id)) {
+                return res.status(409).json({ success: false, error: "Projeto já existe" });
+            }
+
+            const project = { keyPrefix: '', ...changes, createdAt: Date.now() };
+            await services.projects.insert(project);
+
+            console.log(`Projeto criado: ${project.id}`);
+
+            res.status(201).json({ success: true, project: publicProject(project) });
+        } catch (error) {
+            console.error('Erro ao criar projeto:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Detalhes e estatísticas de um projeto
+    router.get('/:id', async (req, res) => {
+        try {
+            const project = await resolveProject(services, req.params.id);
+
+            if (!project) {
+                return res.status(404).json({ success: false, error: "Projeto não encontrado" });
+            }
+
+            res.json({ 
+                success: true,
+                project: {
+                    ...publicProject(project),
+                    stats: projectStats(await services.keys.all(), project.id)
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao buscar projeto:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Loader Lua pronto para o projeto (query: kid, scriptUrl, signed=false).
+    // Embute o segredo HMAC de assinatura, por isso fica na API admin.
+    router.get('/:id/loader', async (req, res) => {
+        try {
+            const project = await resolveProject(services, req.params.id);
+
+            if (!project) {
+                return res.status(404).json({ success: false, error: "Projeto não encontrado" });
+            }
+
+            const { kid, scriptUrl } = req.query;
+
+            if (scriptUrl !== undefined && !/^https?:\/\/\S+$/.test(scriptUrl)) {
+                return res.status(400).json({ success: false, error: "scriptUrl deve ser uma URL http(s)" });
+            }
+
+            const signingKey = req.query.signed === 'false'
+                ? null
+                : getProjectSigner(project, services.signer).hmacKey(kid);
+
+            if (kid !== undefined && !signingKey) {
+                return res.status(400).json({ success: false, error: "kid desconhecido ou não é HMAC" });
+            }
+
+            const lua = buildLoader({ baseUrl: getBaseUrl(req), project, signingKey, scriptUrl });
+
+            console.log(`Loader do projeto ${project.id} gerado (${signingKey ? `kid ${signingKey.kid}` : 'sem assinatura'}) por ${req.apiKey?.name || 'admin'}`);
+
+            res.set('Cache-Control', 'no-store')
+                .type('text/plain; charset=utf-8')
+                .set('Content-Disposition', `attachment; filename="loader-${project.id}.lua"`)
+                .send(lua);
+        } catch (error) {
+            console.error('Erro ao gerar loader:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Metadados do script protegido do projeto (?content=true inclui o código)
+    router.get('/:id/script', async (req, res) => {
+        try {
+            const script = await services.scripts.get(req.params.id);
+
+            if (!script) {
+                return res.status(404).json({ success: false, error: "Projeto sem script cadastrado" });
+            }
+
+            res.json({
+                success: true,
+                script: req.query.content === 'true' ? script : publicScript(script)
+            });
+        } catch (error) {
+            console.error('Erro ao buscar script:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Cadastrar ou substituir o script (body: content, watermark, obfuscate)
+    router.put('/:id/script', async (req, res) => {
+        try {
+            const project = await resolveProject(services, req.params.id);
+
+            if (!project) {
+                return res.status(404).json({ success: false, error: "Projeto não encontrado" });
+            }
+
+            const { error, changes } = buildScriptChanges(req.body || {});
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            let script = await services.scripts.update(project.id, { ...changes, updatedAt: Date.now() });
+
+            if (!script) {
+                script = { id: project.id, ...changes, updatedAt: Date.now() };
+                await services.scripts.insert(script);
+            }
+
+            console.log(`Script do projeto ${project.id} atualizado (${script.size} bytes)`);
+
+            res.json({ success: true, script: publicScript(script) });
+        } catch (error) {
+            console.error('Erro ao salvar script:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Remover o script (o /validar deixa de emitir tokens de download)
+    router.delete('/:id/script', async (req, res) => {
+        try {
+            const removed = await services.scripts.remove(req.params.id);
+
+            if (!removed) {
+                return res.status(404).json({ success: false, error: "Projeto sem script cadastrado" });
+            }
+
+            console.log(`Script do projeto ${req.params.id} removido`);
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao remover script:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Entregas do script com marca d'água (filtros: watermark, key; mais recentes primeiro)
+    router.get('/:id/script/downloads', async (req, res) => {
+        try {
+            const { watermark: text, key } = req.query;
+            const watermark = text !== undefined ? findWatermark(text) : null;
+
+            if (text !== undefined && !watermark) {
+                return res.status(400).json({ success: false, error: "Marca d'água não encontrada no texto" });
+            }
+
+            const filter = { project: req.params.id };
+            if (watermark) filter.id = watermark;
+            if (key) filter.key = toKeyId(key);
+
+            const downloads = (await services.scriptDownloads.find(filter))
+                .sort((a, b) => b.downloadedAt - a.downloadedAt)
+                .slice(0, 100);
+
+            res.json({ success: true, total: downloads.length, downloads });
+        } catch (error) {
+            console.error('Erro ao listar entregas do script:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Editar projeto (o projeto padrão é cadastrado na primeira edição)
+    router.patch('/:id', async (req, res) => {
+        try {
+            const { id, ...body } = req.body || {};
+            const { error, changes } = buildProjectChanges(body);
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            let project = await services.projects.update(req.params.id, { ...changes, updatedAt: Date.now() });
+
+            if (!project && req.params.id === DEFAULT_PROJECT_ID) {
+                const { builtIn, ...defaults } = await resolveProject(services, DEFAULT_PROJECT_ID);
+                project = { ...defaults, ...changes, createdAt: Date.now() };
+                await services.projects.insert(project);
+            }
+
+            if (!project) {
+                return res.status(404).json({ success: false, error: "Projeto não encontrado" });
+            }
+
+            console.log(`Projeto alterado: ${project.id}`);
+
+            res.json({ success: true, project: publicProject(project) });
+        } catch (error) {
+            console.error('Erro ao alterar projeto:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Remover projeto (recusa enquanto houver keys dele)
+    router.delete('/:id', async (req, res) => {
+        try {
+            if (req.params.id === DEFAULT_PROJECT_ID) {
+                return res.status(400).json({ success: false, error: "O projeto padrão não pode ser removido" });
+            }
+
+            const stats = projectStats(await services.keys.all(), req.params.id);
+
+            if (stats.total > 0) {
+                return res.status(409).json({ 
+                    success: false,
+                    error: `Projeto ainda tem ${stats.total} keys` 
+                });
+            }
+
+            const removed = await services.projects.remove(req.params.id);
+
+            if (!removed) {
+                return res.status(404).json({ success: false, error: "Projeto não encontrado" });
+            }
+
+            console.log(`Projeto removido: ${req.params.id}`);
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao remover projeto:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createProjectsRouter };
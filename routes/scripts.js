@@ -0,0 +1,42 @@
+// Download do script protegido com o token emitido pelo /validar
+const express = require('express');
+const { consumeDownloadToken, deliverScript } = require('../lib/scripts');
+const { luaString } = require('../lib/loader');
+
+// Resposta em Lua para o loadstring do executor mostrar o motivo
+function luaError(res, status, message) {
+    return res.status(status).type('text/plain; charset=utf-8').send(`error(${luaString(message)})`);
+}
+
+function createScriptRouter(services) {
+    const router = express.Router();
+
+    router.get('/script/:token', async (req, res) => {
+        try {
+            const entry = await consumeDownloadToken(services.downloadTokens, req.params.token);
+
+            if (!entry) {
+                return luaError(res, 404, 'Token de download inválido, expirado ou já usado');
+            }
+
+            const script = await services.scripts.get(entry.project);
+
+            if (!script) {
+                return luaError(res, 404, 'Script não encontrado');
+            }
+
+            const code = await deliverScript(services.scriptDownloads, script, entry, { ip: req.ip });
+
+            console.log(`Script entregue: ${entry.project} (${entry.keyHint || entry.key})`);
+
+            res.set('Cache-Control', 'no-store').type('text/plain; charset=utf-8').send(code);
+        } catch (error) {
+            console.error('Erro ao entregar script:', error.message);
+            luaError(res, 500, 'Erro interno do servidor');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createScriptRouter };
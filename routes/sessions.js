@@ -0,0 +1,66 @@
+// Sessões ao vivo das keys (montado em /admin/sessions)
+const express = require('express');
+const { toKeyId } = require('../lib/keyHash');
+const { isLive, publicSession } = require('../lib/heartbeat');
+
+function createSessionsRouter(services) {
+    const router = express.Router();
+
+    // Listar sessões ativas (filtros: project, key, userId, hwid) com o total por projeto e por key
+    router.get('/', async (req, res) => {
+        try {
+            const { project, userId, hwid } = req.query;
+            const key = req.query.key ? toKeyId(String(req.query.key)) : null;
+            const now = Date.now();
+
+            const sessions = (await services.liveSessions.find(key ? { key } : {}))
+                .filter(session => isLive(session, now))
+                .filter(session => !project || session.project === project)
+                .filter(session => !userId || session.userId === String(userId))
+                .filter(session => !hwid || session.hwid === hwid)
+                .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+
+            const byProject = {};
+            const byKey = {};
+            for (const session of sessions) {
+                byProject[session.project] = (byProject[session.project] || 0) + 1;
+                byKey[session.key] = (byKey[session.key] || 0) + 1;
+            }
+
+            res.json({
+                success: true,
+                total: sessions.length,
+                byProject,
+                byKey,
+                sessions: sessions.map(session => publicSession(session, now))
+            });
+        } catch (error) {
+            console.error('Erro ao listar sessões:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Encerrar uma sessão: o próximo heartbeat responde "ended" e o loader valida de novo
+    router.delete('/:id', async (req, res) => {
+        try {
+            const session = await services.liveSessions.get(req.params.id);
+
+            if (!session) {
+                return res.status(404).json({ success: false, error: "Sessão não encontrada" });
+            }
+
+            await services.liveSessions.remove(session.id);
+
+            console.log(`Sessão encerrada pelo admin: ${session.keyHint || session.key}`);
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao encerrar sessão:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSessionsRouter };
@@ -0,0 +1,190 @@
+// Cadastro de webhooks e dead letters (montado em /admin/webhooks)
+const crypto = require('crypto');
+const express = require('express');
+const { WEBHOOK_EVENTS, WEBHOOK_FORMATS } = require('../lib/webhooks');
+const { isValidUrl } = require('../lib/pages');
+
+function publicEndpoint({ secret, ...endpoint }) {
+    return endpoint;
+}
+
+// Valida url/events/format/enabled; retorna { error } ou { changes }
+function buildEndpointChanges(body, { creating = false } = {}) {
+    const changes = {};
+
+    if (body.url !== undefined || creating) {
+        if (typeof body.url !== 'string' || !isValidUrl(body.url, ['http:', 'https:'])) return { error: "URL inválida" };
+        changes.url = body.url;
+    }
+
+    if (body.events !== undefined || creating) {
+        const valid = Array.isArray(body.events) && body.events.length > 0
+            && body.events.every(e => e === '*' || WEBHOOK_EVENTS.includes(e));
+        if (!valid) return { error: `events inválidos (use: *, ${WEBHOOK_EVENTS.join(', ')})` };
+        changes.events = [...new Set(body.events)];
+    }
+
+    if (body.format !== undefined) {
+        if (!WEBHOOK_FORMATS.includes(body.format)) {
+            return { error: `format inválido (use: ${WEBHOOK_FORMATS.join(', ')})` };
+        }
+        changes.format = body.format;
+    }
+
+    if (body.enabled !== undefined) {
+        if (typeof body.enabled !== 'boolean') return { error: "enabled deve ser booleano" };
+        changes.enabled = body.enabled;
+    }
+
+    return { changes };
+}
+
+function createWebhooksRouter(services) {
+    const router = express.Router();
+
+    // Listar webhooks
+    router.get('/', async (req, res) => {
+        try {
+            const endpoints = await services.webhookEndpoints.all();
+            res.json({ success: true, webhooks: endpoints.map(publicEndpoint) });
+        } catch (error) {
+            console.error('Erro ao listar webhooks:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Criar webhook (o segredo de assinatura só aparece nesta resposta)
+    router.post('/', async (req, res) => {
+        try {
+            const { error, changes } = buildEndpointChanges(req.body || {}, { creating: true });
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            // URLs do Discord recebem embeds por padrão
+            const isDiscord = /^https:\/\/(?:\w+\.)?discord(?:app)?\.com\/api\/webhooks\//.test(changes.url);
+            const endpoint = {
+                id: crypto.randomBytes(8).toString('hex'),
+                format: isDiscord ? 'discord' : 'json',
+                enabled: true,
+                ...changes,
+                secret: crypto.randomBytes(24).toString('hex'),
+                createdAt: Date.now()
+            };
+
+            await services.webhookEndpoints.insert(endpoint);
+
+            console.log(`Webhook criado: ${endpoint.id} (${endpoint.events.join(', ')})`);
+
+            res.status(201).json({ success: true, secret: endpoint.secret, webhook: publicEndpoint(endpoint) });
+        } catch (error) {
+            console.error('Erro ao criar webhook:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Listar dead letters
+    router.get('/dead-letters', async (req, res) => {
+        try {
+            const letters = (await services.webhookDeadLetters.all()).sort((a, b) => b.failedAt - a.failedAt);
+            res.json({ success: true, deadLetters: letters });
+        } catch (error) {
+            console.error('Erro ao listar dead letters:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Reenviar dead letter
+    router.post('/dead-letters/:id/retry', async (req, res) => {
+        try {
+            const letter = await services.webhooks.retryDeadLetter(req.params.id);
+
+            if (!letter) {
+                return res.status(404).json({ success: false, error: "Dead letter não encontrada" });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao reenviar dead letter:', error.message);
+            res.status(502).json({ success: false, error: `Falha no reenvio: ${error.message}` });
+        }
+    });
+
+    // Descartar dead letter
+    router.delete('/dead-letters/:id', async (req, res) => {
+        try {
+            const removed = await services.webhookDeadLetters.remove(req.params.id);
+
+            if (!removed) {
+                return res.status(404).json({ success: false, error: "Dead letter não encontrada" });
+            }
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao remover dead letter:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Editar webhook
+    router.patch('/:id', async (req, res) => {
+        try {
+            const { error, changes } = buildEndpointChanges(req.body || {});
+
+            if (error) {
+                return res.status(400).json({ success: false, error });
+            }
+
+            const updated = await services.webhookEndpoints.update(req.params.id, changes);
+
+            if (!updated) {
+                return res.status(404).json({ success: false, error: "Webhook não encontrado" });
+            }
+
+            res.json({ success: true, webhook: publicEndpoint(updated) });
+        } catch (error) {
+            console.error('Erro ao alterar webhook:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Remover webhook
+    router.delete('/:id', async (req, res) => {
+        try {
+            const removed = await services.webhookEndpoints.remove(req.params.id);
+
+            if (!removed) {
+                return res.status(404).json({ success: false, error: "Webhook não encontrado" });
+            }
+
+            console.log(`Webhook removido: ${req.params.id}`);
+
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro ao remover webhook:', error.message);
+            res.status(500).json({ success: false, error: "Erro interno do servidor" });
+        }
+    });
+
+    // Enviar evento de teste
+    router.post('/:id/test', async (req, res) => {
+        try {
+            const endpoint = await services.webhookEndpoints.get(req.params.id);
+
+            if (!endpoint) {
+                return res.status(404).json({ success: false, error: "Webhook não encontrado" });
+            }
+
+            await services.webhooks.test(endpoint);
+            res.json({ success: true });
+        } catch (error) {
+            console.error('Erro no teste de webhook:', error.message);
+            res.status(502).json({ success: false, error: `Falha no envio: ${error.message}` });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhooksRouter };
@@ -1,30 +1,85 @@
 // Configuração inicial
 require('dotenv').config();
 const express = require('express');
-const fs = require('fs-extra');
-const crypto = require('crypto');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const axios = require('axios');
 const path = require('path');
+const { createStorage, migrateKeysJson } = require('./lib/storage');
+const { createAdminRouter } = require('./routes/admin');
+const { createCheckpointRouter } = require('./routes/checkpoint');
+const { createDiscordRouter } = require('./routes/discord');
+const { createScriptRouter } = require('./routes/scripts');
+const { requireScope, getBearerToken, safeEqual } = require('./lib/auth');
+const { registry, metrics } = require('./lib/metrics');
+const { shortenLink, getShortenerChain } = require('./lib/shorteners');
+const { MONETIZZY_STUB } = require('./lib/shorteners/monetizzy');
+const { startMonetizzyStub } = require('./lib/shorteners/monetizzyStub');
+const { resolveProject, keyBelongsTo, getProjectSigner, normalizeProjectKey } = require('./lib/projects');
+const { AuditLog, auditRoute } = require('./lib/audit');
+const { WebhookDispatcher } = require('./lib/webhooks');
+const { Blacklist, blacklistGuard } = require('./lib/blacklist');
+const { normalizeKey } = require('./lib/keyFormat');
+const { keyId, keyLabel, keyMatches, maskKey, toKeyId, migrateKeyHashes } = require('./lib/keyHash');
+const { SIGNATURE_VERSION, SIGNATURE_VERSIONS, loadSigningKeys, Signer, isValidNonce } = require('./lib/signing');
+const { issueDownloadToken, pruneScriptData } = require('./lib/scripts');
+const { sessionId, isLive, openSession, evaluateHeartbeat, pruneSessions } = require('./lib/heartbeat');
+const { getBaseUrl, isValidUrl } = require('./lib/pages');
+const { RATE_LIMITS, MemoryStore, CollectionStore, RateLimiter, rateLimit } = require('./lib/rateLimit');
+const {
+    KEY_TYPES,
+    createKey,
+    parseIdentity,
+    getExpiresAt,
+    isExpired,
+    evaluateValidation,
+    getResetRules,
+    evaluateReset
+} = require('./lib/keys');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const MONETIZZY_TOKEN = process.env.MONETIZZY_TOKEN;
+// Com VALIDATE_REQUIRES_AUTH=true o /validar exige uma API key com escopo validate
+const VALIDATE_REQUIRES_AUTH = process.env.VALIDATE_REQUIRES_AUTH === 'true';
+// Com METRICS_TOKEN o /metrics exige Authorization: Bearer <METRICS_TOKEN>
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
 
-// Validação do token na inicialização
-if (!MONETIZZY_TOKEN) {
+// Chaves que assinam as respostas do /validar (SIGNING_SECRETS / SIGNING_ED25519_KEYS)
+const signer = new Signer(loadSigningKeys());
+
+// Validação do token na inicialização (só quando o encurtador padrão é o Monetizzy real)
+if (!MONETIZZY_TOKEN && !MONETIZZY_STUB && (process.env.SHORTENER_PROVIDER || 'monetizzy') === 'monetizzy') {
     console.error('ERRO: MONETIZZY_TOKEN não encontrado no arquivo .env');
     process.exit(1);
 }
 
+// Sem KEY_HASH_SECRET as keys ficam em texto puro no armazenamento
+if (process.env.KEY_HASH_SECRET !== undefined && process.env.KEY_HASH_SECRET.length < 32) {
+    console.error('ERRO: KEY_HASH_SECRET deve ter pelo menos 32 caracteres');
+    process.exit(1);
+}
+if (!process.env.KEY_HASH_SECRET) {
+    console.warn('AVISO: KEY_HASH_SECRET não definido; as keys ficam em texto puro no armazenamento');
+}
+
+// Atrás de proxy (Render, Railway, Nginx...) o IP real vem do X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY)
+        ? parseInt(process.env.TRUST_PROXY, 10)
+        : process.env.TRUST_PROXY === 'true' || process.env.TRUST_PROXY);
+}
+
 // Middlewares
 app.use(cors({
     origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-    methods: ['GET', 'POST'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
     allowedHeaders: ['Content-Type', 'Authorization']
 }));
-app.use(bodyParser.json({ limit: '10mb' }));
+// O corpo bruto fica em req.rawBody para conferir assinaturas (Discord)
+app.use(bodyParser.json({
+    limit: '10mb',
+    verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Middleware para logging
@@ -33,309 +88,179 @@ app.use((req, res, next) => {
     next();
 });
 
-// Arquivo que guarda as keys
+// Duração das requisições por rota (o padrão da rota, não a URL, para não
+// criar uma série por key; estáticos e 404 entram como "other")
+app.use((req, res, next) => {
+    const endTimer = metrics.httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        endTimer({
+            route: req.route ? (req.baseUrl + req.route.path).replace(/(.)\/$/, '$1') : 'other',
+            status: res.statusCode
+        });
+    });
+    next();
+});
+
+// Armazenamento das keys (driver definido por STORAGE_DRIVER: json | sqlite)
 const KEYS_FILE = path.join(__dirname, 'keys.json');
-let keys = [];
+const storage = createStorage({ keysFile: KEYS_FILE });
+// Coleções abertas na inicialização, compartilhadas com os routers
+const services = {
+    // Chaves globais de assinatura (projetos sem signingSecrets próprios)
+    signer,
+    // Começa em memória; com RATE_LIMIT_STORE=storage passa para o armazenamento
+    rateLimiter: new RateLimiter(new MemoryStore(), {
+        onBan: (id, durationMs) => services.webhooks.dispatch('abuse.detected', {
+            target: id,
+            reason: 'invalid_keys',
+            banSeconds: Math.round(durationMs / 1000)
+        })
+    }),
+    // Log de auditoria (JSON Lines) de /gerar, /validar e da API admin
+    audit: new AuditLog({
+        file: process.env.AUDIT_LOG_FILE
+            || path.join(process.env.DATA_DIR || path.join(__dirname, 'data'), 'audit.jsonl')
+    })
+};
+// Webhooks de eventos de keys (endpoints cadastrados em /admin/webhooks)
+services.webhooks = new WebhookDispatcher(services);
+// Blacklist de userIds, HWIDs, IPs e keys (carregada em initStorage)
+services.blacklist = new Blacklist();
 
-// Carregar keys existentes
-async function loadKeys() {
-    try {
-        if (await fs.pathExists(KEYS_FILE)) {
-            keys = await fs.readJson(KEYS_FILE);
-            console.log(`${keys.length} keys carregadas do arquivo`);
-        } else {
-            // Criar arquivo vazio se não existir
-            await fs.writeJson(KEYS_FILE, []);
-            console.log('Arquivo de keys criado');
+// Abrir o armazenamento e importar o keys.json antigo quando o driver não for JSON
+async function initStorage() {
+    await storage.init();
+    await services.audit.init();
+    services.keys = await storage.collection('keys', {
+        idField: 'key',
+        indexes: ['shortLink', 'originalLink', 'used', 'expiresAt', 'project']
+    });
+
+    const imported = await migrateKeysJson(storage, services.keys, KEYS_FILE);
+    if (imported) {
+        console.log(`${imported} keys importadas de ${path.basename(KEYS_FILE)}`);
+        if (process.env.KEY_HASH_SECRET) {
+            console.warn(`AVISO: ${path.basename(KEYS_FILE)} ainda tem as keys em texto puro; apague-o após conferir a importação`);
         }
-    } catch (error) {
-        console.error('Erro ao carregar keys:', error.message);
-        keys = [];
     }
+
+    services.apiKeys = await storage.collection('apiKeys', {
+        idField: 'id',
+        indexes: ['tokenHash']
+    });
+
+    services.projects = await storage.collection('projects', { idField: 'id' });
+    services.checkpointSessions = await storage.collection('checkpointSessions', {
+        idField: 'id',
+        indexes: ['expiresAt']
+    });
+
+    services.webhookEndpoints = await storage.collection('webhooks', { idField: 'id' });
+    services.webhookDeadLetters = await storage.collection('webhookDeadLetters', { idField: 'id' });
+    await services.blacklist.init(await storage.collection('blacklist', { idField: 'id' }));
+
+    // Scripts protegidos (id = projeto), tokens de download e entregas com marca d'água
+    services.scripts = await storage.collection('scripts', { idField: 'id' });
+    services.downloadTokens = await storage.collection('downloadTokens', { idField: 'id' });
+    services.scriptDownloads = await storage.collection('scriptDownloads', {
+        idField: 'id',
+        indexes: ['project', 'key']
+    });
+
+    // Sessões ao vivo abertas pelo /validar e mantidas pelo /heartbeat
+    services.liveSessions = await storage.collection('liveSessions', {
+        idField: 'id',
+        indexes: ['key', 'project', 'expiresAt']
+    });
+
+    // Com KEY_HASH_SECRET, keys em texto puro viram HMAC no lugar
+    const hashed = await migrateKeyHashes(services.keys, services.blacklist);
+    if (hashed) {
+        console.log(`${hashed} keys convertidas para hash`);
+    }
+
+    if (process.env.RATE_LIMIT_STORE === 'storage') {
+        services.rateLimiter.store = new CollectionStore(
+            await storage.collection('rateLimits', { idField: 'id' })
+        );
+    }
+
+    console.log(`${await services.keys.count()} keys carregadas`);
 }
 
-// Salvar keys no arquivo
-async function saveKeys() {
-    try {
-        await fs.writeJson(KEYS_FILE, keys, { spaces: 2 });
-    } catch (error) {
-        console.error('Erro ao salvar keys:', error.message);
-        throw new Error('Falha ao salvar keys');
+// Tamanho atual do armazenamento de keys, calculado a cada coleta do /metrics
+registry.gauge({
+    name: 'keysystem_keys',
+    help: 'Keys no armazenamento, por status',
+    labelNames: ['status'],
+    collect: async () => [
+        { labels: { status: 'total' }, value: await services.keys.count() },
+        { labels: { status: 'used' }, value: await services.keys.count({ used: true }) },
+        { labels: { status: 'available' }, value: await services.keys.count({ used: false }) }
+    ]
+});
+
+// Sessões com heartbeat em dia, por projeto
+registry.gauge({
+    name: 'keysystem_active_sessions',
+    help: 'Sessões ao vivo (heartbeat dentro do prazo), por projeto',
+    labelNames: ['project'],
+    collect: async () => {
+        const counts = new Map();
+        for (const session of await services.liveSessions.all()) {
+            if (isLive(session)) counts.set(session.project, (counts.get(session.project) || 0) + 1);
+        }
+        return [...counts].map(([project, value]) => ({ labels: { project }, value }));
     }
+});
+
+// Campos do corpo checados na blacklist (além do IP da requisição)
+function blacklistSubject(body) {
+    const subject = {};
+    if (['string', 'number'].includes(typeof body?.userId)) subject.userId = String(body.userId).trim();
+    if (typeof body?.hwid === 'string') subject.hwid = body.hwid.trim();
+    if (typeof body?.key === 'string') subject.key = toKeyId(body.key);
+    return subject;
 }
 
-// Gerar key única
-function generateKey() {
-    const timestamp = Date.now().toString(36);
-    const random = crypto.randomBytes(6).toString('hex').toUpperCase();
-    return `${timestamp}-${random}`;
+// Forma gravada da key enviada ao /validar e ao /resetar. Checksum errado é
+// erro de digitação e volta null sem buscar a key; só projetos com
+// acceptImportedKeys aceitam o formato livre das keys migradas.
+async function normalizeRequestKey(key, projectId) {
+    const storedKey = normalizeKey(key);
+    if (storedKey) return storedKey;
+    const project = await resolveProject(services, projectId).catch(() => null);
+    return project ? normalizeProjectKey(key, project) : null;
 }
 
-// Validar URL
-function isValidUrl(string) {
-    try {
-        new URL(string);
-        return true;
-    } catch (_) {
-        return false;
+// Limpar keys expiradas (keys não utilizadas cujo prazo já passou)
+async function cleanExpiredKeys() {
+    const now = Date.now();
+    const unused = await services.keys.find({ used: false });
+    const expired = unused.filter(keyObj => isExpired(keyObj, now)).map(keyObj => keyObj.key);
+
+    if (expired.length > 0) {
+        const removed = await services.keys.removeMany(expired);
+        console.log(`${removed} keys expiradas removidas`);
     }
 }
 
-// Limpar keys expiradas (keys não utilizadas após 24h)
-function cleanExpiredKeys() {
-    const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    const initialCount = keys.length;
-    
-    keys = keys.filter(keyObj => {
-        if (keyObj.used) return true; // Manter keys usadas para histórico
-        if (!keyObj.createdAt) return true; // Manter keys antigas sem timestamp
-        return keyObj.createdAt > oneDayAgo;
-    });
-    
-    if (keys.length !== initialCount) {
-        console.log(`${initialCount - keys.length} keys expiradas removidas`);
-        saveKeys().catch(console.error);
+// Remover sessões de checkpoint expiradas
+async function cleanExpiredCheckpoints() {
+    const now = Date.now();
+    const expired = (await services.checkpointSessions.all())
+        .filter(session => session.expiresAt < now)
+        .map(session => session.id);
+
+    if (expired.length > 0) {
+        await services.checkpointSessions.removeMany(expired);
     }
 }
 
 // -------------------- Endpoints -------------------- //
 
-// Página inicial com visual bonito
-app.get('/', (req, res) => {
-    const stats = {
-        total: keys.length,
-        used: keys.filter(k => k.used).length,
-        available: keys.filter(k => !k.used).length
-    };
-    
-    const html = `
-    <!DOCTYPE html>
-    <html lang="pt-BR">
-    <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Key System Monetizzy</title>
-        <style>
-            * {
-                margin: 0;
-                padding: 0;
-                box-sizing: border-box;
-            }
-            
-            body {
-                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-                background: linear-gradient(135deg, #1a1a1a 0%, #2d2d2d 100%);
-                color: #ffffff;
-                min-height: 100vh;
-                display: flex;
-                flex-direction: column;
-                align-items: center;
-                justify-content: center;
-                padding: 20px;
-            }
-            
-            .container {
-                background: rgba(255, 255, 255, 0.05);
-                backdrop-filter: blur(10px);
-                border: 1px solid rgba(255, 255, 255, 0.1);
-                border-radius: 20px;
-                padding: 40px;
-                max-width: 600px;
-                width: 100%;
-                box-shadow: 0 20px 40px rgba(0, 0, 0, 0.3);
-                text-align: center;
-                animation: fadeIn 1s ease-out;
-            }
-            
-            @keyframes fadeIn {
-                from { opacity: 0; transform: translateY(30px); }
-                to { opacity: 1; transform: translateY(0); }
-            }
-            
-            .logo {
-                font-size: 2.5rem;
-                font-weight: bold;
-                margin-bottom: 10px;
-                background: linear-gradient(45deg, #ffffff, #cccccc);
-                -webkit-background-clip: text;
-                -webkit-text-fill-color: transparent;
-                background-clip: text;
-            }
-            
-            .subtitle {
-                font-size: 1.2rem;
-                color: #cccccc;
-                margin-bottom: 30px;
-            }
-            
-            .status-grid {
-                display: grid;
-                grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-                gap: 20px;
-                margin: 30px 0;
-            }
-            
-            .stat-card {
-                background: rgba(255, 255, 255, 0.05);
-                border: 1px solid rgba(255, 255, 255, 0.1);
-                border-radius: 15px;
-                padding: 20px;
-                transition: all 0.3s ease;
-            }
-            
-            .stat-card:hover {
-                background: rgba(255, 255, 255, 0.1);
-                transform: translateY(-5px);
-            }
-            
-            .stat-number {
-                font-size: 2rem;
-                font-weight: bold;
-                color: #ffffff;
-                margin-bottom: 5px;
-            }
-            
-            .stat-label {
-                font-size: 0.9rem;
-                color: #cccccc;
-                text-transform: uppercase;
-                letter-spacing: 1px;
-            }
-            
-            .status-indicator {
-                display: inline-flex;
-                align-items: center;
-                gap: 10px;
-                margin: 20px 0;
-                padding: 10px 20px;
-                background: rgba(0, 255, 0, 0.1);
-                border: 1px solid rgba(0, 255, 0, 0.3);
-                border-radius: 25px;
-                color: #00ff00;
-                font-weight: bold;
-            }
-            
-            .status-dot {
-                width: 10px;
-                height: 10px;
-                background: #00ff00;
-                border-radius: 50%;
-                animation: pulse 2s infinite;
-            }
-            
-            @keyframes pulse {
-                0% { opacity: 1; }
-                50% { opacity: 0.5; }
-                100% { opacity: 1; }
-            }
-            
-            .endpoints {
-                margin-top: 30px;
-                text-align: left;
-            }
-            
-            .endpoints h3 {
-                color: #ffffff;
-                margin-bottom: 15px;
-                text-align: center;
-            }
-            
-            .endpoint {
-                background: rgba(0, 0, 0, 0.2);
-                border: 1px solid rgba(255, 255, 255, 0.1);
-                border-radius: 8px;
-                padding: 10px 15px;
-                margin-bottom: 10px;
-                font-family: 'Courier New', monospace;
-                color: #cccccc;
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-            }
-            
-            .method {
-                background: #333;
-                color: #fff;
-                padding: 3px 8px;
-                border-radius: 4px;
-                font-size: 0.8rem;
-                font-weight: bold;
-            }
-            
-            .method.get { background: #4CAF50; }
-            .method.post { background: #2196F3; }
-            
-            .footer {
-                margin-top: 30px;
-                color: #888;
-                font-size: 0.9rem;
-            }
-            
-            @media (max-width: 768px) {
-                .container { padding: 20px; }
-                .logo { font-size: 2rem; }
-                .status-grid { grid-template-columns: 1fr; }
-            }
-        </style>
-    </head>
-    <body>
-        <div class="container">
-            <div class="logo">🔑 KeySystem</div>
-            <div class="subtitle">Sistema de Chaves Monetizzy</div>
-            
-            <div class="status-indicator">
-                <div class="status-dot"></div>
-                Sistema Online
-            </div>
-            
-            <div class="status-grid">
-                <div class="stat-card">
-                    <div class="stat-number">${stats.total}</div>
-                    <div class="stat-label">Total de Keys</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${stats.used}</div>
-                    <div class="stat-label">Keys Utilizadas</div>
-                </div>
-                <div class="stat-card">
-                    <div class="stat-number">${stats.available}</div>
-                    <div class="stat-label">Keys Disponíveis</div>
-                </div>
-            </div>
-            
-            <div class="endpoints">
-                <h3>📡 Endpoints Disponíveis</h3>
-                <div class="endpoint">
-                    <span><span class="method get">GET</span> /</span>
-                    <span>Página inicial</span>
-                </div>
-                <div class="endpoint">
-                    <span><span class="method get">GET</span> /gerar</span>
-                    <span>Interface de geração</span>
-                </div>
-                <div class="endpoint">
-                    <span><span class="method post">POST</span> /gerar</span>
-                    <span>Gerar nova key</span>
-                </div>
-                <div class="endpoint">
-                    <span><span class="method post">POST</span> /validar</span>
-                    <span>Validar key existente</span>
-                </div>
-                <div class="endpoint">
-                    <span><span class="method get">GET</span> /status</span>
-                    <span>Status do sistema (JSON)</span>
-                </div>
-            </div>
-            
-            <div class="footer">
-                🕒 Última atualização: ${new Date().toLocaleString('pt-BR')}
-            </div>
-        </div>
-    </body>
-    </html>`;
-    
-    res.send(html);
-});
+// Painel admin (arquivos estáticos em public/, dados via /admin/*)
+app.use(express.static(path.join(__dirname, 'public')));
 
 // Página de geração de keys
 app.get('/gerar', (req, res) => {
@@ -565,8 +490,8 @@ app.get('/gerar', (req, res) => {
             
             <form id="keyForm">
                 <div class="form-group">
-                    <label for="token">🔐 Token Monetizzy:</label>
-                    <input type="text" id="token" name="token" placeholder="Digite seu token Monetizzy" required>
+                    <label for="token">🔐 API Key:</label>
+                    <input type="text" id="token" name="token" placeholder="Digite sua API key (escopo generate)" required>
                 </div>
                 
                 <div class="form-group">
@@ -613,9 +538,9 @@ app.get('/gerar', (req, res) => {
                         method: 'POST',
                         headers: {
                             'Content-Type': 'application/json',
+                            'Authorization': 'Bearer ' + token
                         },
                         body: JSON.stringify({
-                            monetizzyToken: token,
                             link: link
                         })
                     });
@@ -691,33 +616,67 @@ app.get('/gerar', (req, res) => {
 });
 
 // Status das keys (JSON)
-app.get('/status', (req, res) => {
+app.get('/status', async (req, res) => {
     const stats = {
-        total: keys.length,
-        used: keys.filter(k => k.used).length,
-        available: keys.filter(k => !k.used).length,
+        total: await services.keys.count(),
+        used: await services.keys.count({ used: true }),
+        available: await services.keys.count({ used: false }),
         timestamp: new Date().toISOString()
     };
     res.json(stats);
 });
 
+// Métricas no formato do Prometheus (Grafana/alertas)
+app.get('/metrics', async (req, res) => {
+    try {
+        if (METRICS_TOKEN && !safeEqual(getBearerToken(req) || '', METRICS_TOKEN)) {
+            return res.status(401).json({ error: "Token de métricas inválido" });
+        }
+
+        res.type('text/plain; version=0.0.4').send(await registry.render());
+    } catch (error) {
+        console.error('Erro ao gerar métricas:', error.message);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
+// Chaves públicas Ed25519 usadas nas respostas assinadas do /validar
+app.get('/signing-keys', async (req, res) => {
+    try {
+        const project = await resolveProject(services, req.query.project);
+
+        if (!project) {
+            return res.status(404).json({ error: "Projeto não encontrado" });
+        }
+
+        res.json({ keys: getProjectSigner(project, signer).publicKeys() });
+    } catch (error) {
+        console.error('Erro ao listar chaves de assinatura:', error.message);
+        res.status(500).json({ error: "Erro interno do servidor" });
+    }
+});
+
 // Gerar key (apenas via Monetizzy, POST)
-app.post('/gerar', async (req, res) => {
+// Exige uma API key com escopo generate; o token Monetizzy nunca sai do servidor
+app.post('/gerar', auditRoute(services.audit, 'generate', (req, body) => ({
+    key: toKeyId(body.key) || undefined,
+    project: req.body?.project || 'default'
+})), rateLimit(services.rateLimiter, {
+    bucket: 'generate',
+    limits: RATE_LIMITS.generate
+}), requireScope(services, 'generate'), blacklistGuard(services.blacklist, {
+    subject: req => blacklistSubject(req.body)
+}), async (req, res) => {
     try {
-        const { monetizzyToken, link } = req.body;
+        const { link, maxIdentities, type, durationHours } = req.body;
 
         // Validações
-        if (!monetizzyToken) {
-            return res.status(400).json({ 
-                success: false,
-                error: "Token Monetizzy é obrigatório" 
-            });
-        }
+        const project = await resolveProject(services, req.body.project);
 
-        if (monetizzyToken !== MONETIZZY_TOKEN) {
-            return res.status(403).json({ 
+        if (!project) {
+            return res.status(404).json({ 
                 success: false,
-                error: "Token inválido" 
+                error: "Projeto não encontrado" 
             });
         }
 
@@ -735,39 +694,61 @@ app.post('/gerar', async (req, res) => {
             });
         }
 
-        // Criar link encurtado no Monetizzy
-        const response = await axios.post('https://api.monetizzy.com/api/shorten/link', {
-            link: link.trim(),
-            domain: 'ufly.monetizzy.com',
-            type: 4
-        }, {
-            headers: { 
-                'Authorization': `Bearer ${MONETIZZY_TOKEN}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 10000 // 10 segundos timeout
-        });
+        if (maxIdentities !== undefined && (!Number.isInteger(maxIdentities) || maxIdentities < 1)) {
+            return res.status(400).json({ 
+                success: false,
+                error: "maxIdentities deve ser um inteiro maior que zero" 
+            });
+        }
+
+        if (type !== undefined && !KEY_TYPES.includes(type)) {
+            return res.status(400).json({ 
+                success: false,
+                error: `Tipo de key inválido (use: ${KEY_TYPES.join(', ')})` 
+            });
+        }
+
+        if (durationHours !== undefined && (typeof durationHours !== 'number' || !(durationHours > 0))) {
+            return res.status(400).json({ 
+                success: false,
+                error: "durationHours deve ser um número maior que zero" 
+            });
+        }
 
-        if (response.data?.shortened_url) {
-            const key = generateKey();
-            const keyObject = {
-                key,
-                used: false,
-                createdAt: Date.now(),
-                shortLink: response.data.shortened_url,
+        // Criar link encurtado (provedores do projeto, com failover)
+        const { url: shortLink, provider } = await shortenLink(link.trim(), getShortenerChain(project));
+
+        if (shortLink) {
+            const { keyObject, plainKey } = await createKey(services.keys, {
+                project,
+                type,
+                durationHours,
+                maxIdentities,
+                shortLink,
+                shortener: provider,
                 originalLink: link.trim()
-            };
-            
-            keys.push(keyObject);
-            await saveKeys();
+            });
             
-            console.log(`Nova key gerada: ${key}`);
+            console.log(`Nova key gerada: ${keyLabel(keyObject)}`);
+            services.webhooks.dispatch('key.generated', {
+                key: keyObject.key,
+                keyHint: keyObject.keyHint,
+                project: keyObject.project,
+                type: keyObject.type,
+                shortener: provider,
+                source: 'api',
+                ip: req.ip
+            });
             
             return res.json({ 
                 success: true,
-                key, 
-                shortLink: response.data.shortened_url,
-                createdAt: new Date().toISOString()
+                key: plainKey, 
+                shortLink,
+                shortener: provider,
+                project: keyObject.project,
+                type: keyObject.type,
+                createdAt: new Date(keyObject.createdAt).toISOString(),
+                expiresAt: keyObject.expiresAt ? new Date(keyObject.expiresAt).toISOString() : null
             });
         } else {
             return res.status(400).json({ 
@@ -779,17 +760,36 @@ app.post('/gerar', async (req, res) => {
     } catch (err) {
         console.error('Erro ao gerar key:', err.message);
         
+        // Circuit breaker aberto em todos os encurtadores do projeto
+        if (err.code === 'CIRCUIT_OPEN') {
+            res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000) || 1));
+            return res.status(503).json({ 
+                success: false,
+                error: "Encurtador temporariamente indisponível, tente novamente em instantes" 
+            });
+        }
+
         if (err.code === 'ECONNABORTED') {
             return res.status(408).json({ 
                 success: false,
-                error: "Timeout na API Monetizzy" 
+                error: "Timeout no encurtador de links" 
             });
         }
         
+        // Problema de configuração do servidor, não da API key de quem chamou
         if (err.response?.status === 401) {
-            return res.status(401).json({ 
+            console.error('Token recusado pelo encurtador de links');
+            return res.status(502).json({ 
                 success: false,
-                error: "Token Monetizzy inválido ou expirado" 
+                error: "Token do encurtador inválido ou expirado" 
+            });
+        }
+        
+        // Encurtador fora do ar mesmo após as novas tentativas
+        if (err.response?.status >= 500) {
+            return res.status(502).json({ 
+                success: false,
+                error: "Encurtador de links indisponível" 
             });
         }
         
@@ -802,56 +802,195 @@ app.post('/gerar', async (req, res) => {
 });
 
 // Validar key (Roblox, POST)
-app.post('/validar', async (req, res) => {
+const validateAuth = VALIDATE_REQUIRES_AUTH
+    ? requireScope(services, 'validate')
+    : (req, res, next) => next();
+
+// Identificador do jogador no rate limit (userId ou HWID)
+function rateLimitIdentity(body) {
+    const id = [body?.userId, body?.hwid].find(value => ['string', 'number'].includes(typeof value) && value !== '');
+    return id !== undefined ? `identity:${id}` : null;
+}
+
+// Limite por IP e por identidade (userId/HWID) para dificultar força bruta
+const validateRateLimit = rateLimit(services.rateLimiter, {
+    bucket: 'validate',
+    limits: RATE_LIMITS.validate,
+    identity: req => rateLimitIdentity(req.body),
+    identityLimits: RATE_LIMITS.identity,
+    format: 'validar'
+});
+
+const validateAudit = auditRoute(services.audit, 'validate', req => ({
+    key: toKeyId(req.body?.key) || undefined,
+    project: req.body?.project || 'default'
+}));
+
+const validateBlacklist = blacklistGuard(services.blacklist, {
+    subject: req => blacklistSubject(req.body),
+    format: 'validar',
+    onBlocked: (req, entry) => {
+        metrics.validations.inc({ project: req.body?.project || 'default', outcome: 'blacklisted' });
+        services.webhooks.dispatch('key.rejected', {
+            project: req.body?.project || 'default',
+            reason: 'blacklisted',
+            blacklistType: entry.type,
+            ...blacklistSubject(req.body),
+            ip: req.ip
+        });
+    }
+});
+
+app.post('/validar', validateAudit, validateRateLimit, validateAuth, validateBlacklist, async (req, res) => {
     try {
-        const { key } = req.body;
+        // v2 (com o tier) é o padrão; o v1 legado só sai se o cliente pedir.
+        // Loaders gerados antes do v2 precisam ser gerados de novo.
+        const { key, nonce, kid, signatureVersion = SIGNATURE_VERSION } = req.body;
         
-        if (!key) {
+        if (!key || typeof key !== 'string') {
             return res.status(400).json({ 
                 valid: false, 
                 message: "Key é obrigatória" 
             });
         }
 
-        const found = keys.find(k => k.key === key.trim());
+        const identity = parseIdentity(req.body);
+
+        if (!identity) {
+            return res.status(400).json({ 
+                valid: false, 
+                message: "userId ou hwid inválido" 
+            });
+        }
+
+        if (nonce !== undefined && !isValidNonce(nonce)) {
+            return res.status(400).json({ 
+                valid: false, 
+                message: "nonce inválido (8 a 128 caracteres alfanuméricos, - ou _)" 
+            });
+        }
+
+        if (!SIGNATURE_VERSIONS.includes(signatureVersion)) {
+            return res.status(400).json({ 
+                valid: false, 
+                message: `signatureVersion deve ser ${SIGNATURE_VERSIONS.join(' ou ')}` 
+            });
+        }
+
+        // Checksum errado = erro de digitação; recusa sem consultar o armazenamento
+        const storedKey = await normalizeRequestKey(key, req.body.project);
+
+        if (!storedKey) {
+            console.log(`Key mal formatada: ${maskKey(key.trim())}`);
+            await services.rateLimiter.recordFailure(req.ip);
+            metrics.validations.inc({ project: req.body.project || 'default', outcome: 'malformed' });
+            services.webhooks.dispatch('key.rejected', {
+                key: maskKey(key.trim()),
+                project: req.body.project || 'default',
+                reason: 'malformed',
+                ...identity,
+                ip: req.ip
+            });
+            return res.status(400).json({ 
+                valid: false, 
+                message: "Key inválida, confira se foi digitada corretamente" 
+            });
+        }
 
-        if (!found) {
-            console.log(`Key não encontrada: ${key}`);
+        // Keys de outro projeto são tratadas como inexistentes
+        const project = await resolveProject(services, req.body.project);
+
+        if (!project) {
             return res.status(404).json({ 
                 valid: false, 
-                message: "Key não encontrada" 
+                message: "Projeto não encontrado" 
             });
         }
 
-        if (found.used) {
-            console.log(`Key já utilizada: ${key}`);
-            return res.json({ 
+        const projectSigner = getProjectSigner(project, signer);
+
+        if (kid !== undefined && !projectSigner.hasKid(kid)) {
+            return res.status(400).json({ 
                 valid: false, 
-                message: "Key já foi utilizada" 
+                message: "kid de assinatura desconhecido" 
             });
         }
 
-        // Verificar se a key expirou (24h)
-        if (found.createdAt && (Date.now() - found.createdAt) > (24 * 60 * 60 * 1000)) {
-            console.log(`Key expirada: ${key}`);
-            return res.json({ 
+        // Com nonce, a resposta vai assinada para o loader conferir a autenticidade
+        const withSignature = (body, keyObj) => {
+            if (!nonce) return body;
+            const signature = projectSigner.sign({
+                valid: body.valid,
+                key: key.trim(),
+                nonce,
+                ...identity,
+                tier: body.tier,
+                expiresAt: keyObj ? getExpiresAt(keyObj) : null
+            }, kid, signatureVersion);
+            return signature ? { ...body, signature } : body;
+        };
+
+        let result;
+        const found = await services.keys.update(keyId(storedKey), current => {
+            if (!keyMatches(current, storedKey) || !keyBelongsTo(current, project.id)) return null;
+            result = evaluateValidation(current, identity);
+            return result.changes;
+        });
+
+        if (!found || !result) {
+            console.log(`Key não encontrada: ${maskKey(storedKey)}`);
+            await services.rateLimiter.recordFailure(req.ip);
+            if (rateLimitIdentity(req.body)) {
+                await services.rateLimiter.recordFailure(rateLimitIdentity(req.body));
+            }
+            metrics.validations.inc({ project: project.id, outcome: 'not_found' });
+            services.webhooks.dispatch('key.rejected', {
+                key: keyId(storedKey),
+                project: project.id,
+                reason: 'not_found',
+                ...identity,
+                ip: req.ip
+            });
+            return res.status(404).json(withSignature({ 
                 valid: false, 
-                message: "Key expirada" 
+                message: "Key não encontrada" 
+            }));
+        }
+
+        // Key válida e projeto com script: libera um download de uso único
+        if (result.body.valid && await services.scripts.get(project.id)) {
+            const { token, expiresAt } = await issueDownloadToken(services.downloadTokens, {
+                project: project.id,
+                keyObj: found,
+                identity,
+                ip: req.ip
             });
+            result.body.scriptUrl = `${getBaseUrl(req)}/script/${token}`;
+            result.body.scriptExpiresAt = new Date(expiresAt).toISOString();
         }
 
-        // Marcar como usada
-        found.used = true;
-        found.usedAt = Date.now();
-        await saveKeys();
-        
-        console.log(`Key validada com sucesso: ${key}`);
-        
-        res.json({ 
-            valid: true, 
-            message: "Key válida!",
-            usedAt: new Date().toISOString()
+        // Sessão ao vivo: o loader confirma a key de tempos em tempos no /heartbeat
+        if (result.body.valid) {
+            Object.assign(result.body, await openSession(services.liveSessions, {
+                project: project.id,
+                keyObj: found,
+                identity,
+                ip: req.ip
+            }));
+        }
+
+        console.log(`${result.log}: ${keyLabel(found)}`);
+        metrics.validations.inc({ project: project.id, outcome: result.body.valid ? 'valid' : result.reason });
+        services.webhooks.dispatch(result.body.valid ? 'key.validated' : 'key.rejected', {
+            key: found.key,
+            keyHint: found.keyHint,
+            project: project.id,
+            type: found.type,
+            reason: result.reason,
+            ...identity,
+            ip: req.ip
         });
+        res.status(result.status).json(withSignature(result.body, found));
         
     } catch (error) {
         console.error('Erro ao validar key:', error.message);
@@ -862,6 +1001,203 @@ app.post('/validar', async (req, res) => {
     }
 });
 
+// Reset de HWID pelo próprio jogador (limite por período e intervalo mínimo)
+app.post('/resetar', auditRoute(services.audit, 'reset', req => ({
+    key: toKeyId(req.body?.key) || undefined,
+    project: req.body?.project || 'default'
+})), rateLimit(services.rateLimiter, {
+    bucket: 'reset',
+    limits: RATE_LIMITS.reset
+}), blacklistGuard(services.blacklist, {
+    subject: req => blacklistSubject(req.body)
+}), async (req, res) => {
+    try {
+        const { key } = req.body;
+
+        if (!key || typeof key !== 'string') {
+            return res.status(400).json({ 
+                success: false, 
+                error: "Key é obrigatória" 
+            });
+        }
+
+        // Só quem está vinculado pode resetar, e só o HWID do próprio userId
+        const identity = parseIdentity(req.body);
+
+        if (!identity || !identity.userId) {
+            return res.status(400).json({ 
+                success: false, 
+                error: "userId vinculado à key é obrigatório" 
+            });
+        }
+
+        const storedKey = await normalizeRequestKey(key, req.body.project);
+
+        if (!storedKey) {
+            await services.rateLimiter.recordFailure(req.ip);
+            return res.status(400).json({ 
+                success: false, 
+                error: "Key inválida, confira se foi digitada corretamente" 
+            });
+        }
+
+        const project = await resolveProject(services, req.body.project);
+
+        if (!project) {
+            return res.status(404).json({ 
+                success: false, 
+                error: "Projeto não encontrado" 
+            });
+        }
+
+        let result;
+        const found = await services.keys.update(keyId(storedKey), current => {
+            if (!keyMatches(current, storedKey) || !keyBelongsTo(current, project.id)) return null;
+            result = evaluateReset(current, { by: 'self', userId: identity.userId, rules: getResetRules(project) });
+            return result.changes;
+        });
+
+        if (!found || !result) {
+            console.log(`Key não encontrada (reset): ${maskKey(storedKey)}`);
+            await services.rateLimiter.recordFailure(req.ip);
+            return res.status(404).json({ 
+                success: false, 
+                error: "Key não encontrada" 
+            });
+        }
+
+        console.log(`${result.log}: ${keyLabel(found)}`);
+
+        if (result.body.success) {
+            services.webhooks.dispatch('key.reset', {
+                key: found.key,
+                keyHint: found.keyHint,
+                project: project.id,
+                by: 'self',
+                userId: identity.userId,
+                ip: req.ip
+            });
+        } else if (result.reason === 'not_owner') {
+            await services.rateLimiter.recordFailure(req.ip);
+        } else if (result.body.retryAfterSeconds) {
+            res.set('Retry-After', String(result.body.retryAfterSeconds));
+        }
+
+        res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Erro ao resetar HWID:', error.message);
+        res.status(500).json({ 
+            success: false, 
+            error: "Erro interno do servidor" 
+        });
+    }
+});
+
+// Heartbeat da sessão aberta pelo /validar: confere se a key continua valendo
+// (status active, revoked, expired, blacklisted, unbound ou ended).
+// Com nonce, a resposta ativa vai assinada como no /validar (v2), com o
+// sessionId no lugar da key, para o loader não aceitar um "active" forjado.
+app.post('/heartbeat', rateLimit(services.rateLimiter, {
+    bucket: 'heartbeat',
+    limits: RATE_LIMITS.heartbeat,
+    format: 'validar'
+}), async (req, res) => {
+    try {
+        const { sessionId: token, nonce, kid } = req.body || {};
+
+        if (!token || typeof token !== 'string' || token.length > 128) {
+            return res.status(400).json({ 
+                valid: false, 
+                status: 'invalid',
+                message: "sessionId é obrigatório" 
+            });
+        }
+
+        if (nonce !== undefined && !isValidNonce(nonce)) {
+            return res.status(400).json({ 
+                valid: false, 
+                status: 'invalid',
+                message: "nonce inválido (8 a 128 caracteres alfanuméricos, - ou _)" 
+            });
+        }
+
+        const session = await services.liveSessions.get(sessionId(token));
+
+        if (!session || !isLive(session)) {
+            return res.status(404).json({ 
+                valid: false, 
+                status: 'ended',
+                message: "Sessão encerrada ou expirada, valide a key novamente" 
+            });
+        }
+
+        const project = nonce && await resolveProject(services, session.project);
+        const projectSigner = project && getProjectSigner(project, signer);
+
+        if (projectSigner && kid !== undefined && !projectSigner.hasKid(kid)) {
+            return res.status(400).json({ 
+                valid: false, 
+                status: 'invalid',
+                message: "kid de assinatura desconhecido" 
+            });
+        }
+
+        const keyObj = await services.keys.get(session.key);
+        const blocked = services.blacklist.check({
+            ip: req.ip,
+            userId: session.userId,
+            hwid: session.hwid,
+            key: session.key
+        });
+        const result = evaluateHeartbeat(session, keyObj, blocked);
+
+        if (!result.changes) {
+            await services.liveSessions.remove(session.id);
+            console.log(`${result.log}: ${keyObj ? keyLabel(keyObj) : session.keyHint || session.key}`);
+            return res.status(result.status).json(result.body);
+        }
+
+        // null: a sessão foi encerrada pelo admin durante a checagem
+        if (!(await services.liveSessions.update(session.id, result.changes))) {
+            return res.status(404).json({ 
+                valid: false, 
+                status: 'ended',
+                message: "Sessão encerrada ou expirada, valide a key novamente" 
+            });
+        }
+
+        const signature = projectSigner && projectSigner.sign({
+            valid: true,
+            key: token,
+            nonce,
+            userId: session.userId,
+            hwid: session.hwid,
+            tier: result.body.tier,
+            expiresAt: getExpiresAt(keyObj)
+        }, kid);
+
+        res.json(signature ? { ...result.body, signature } : result.body);
+    } catch (error) {
+        console.error('Erro no heartbeat:', error.message);
+        res.status(500).json({ 
+            valid: false, 
+            message: "Erro interno do servidor" 
+        });
+    }
+});
+
+// Fluxo de checkpoints do jogador (/getkey)
+app.use(createCheckpointRouter(services));
+
+// Download do script protegido (token emitido pelo /validar)
+app.use(createScriptRouter(services));
+
+// Slash commands do Discord (DISCORD_PUBLIC_KEY)
+app.use(createDiscordRouter(services));
+
+// API admin (Authorization: Bearer <ADMIN_TOKEN>)
+app.use('/admin', createAdminRouter(services));
+
 // Middleware para rotas não encontradas
 app.use('*', (req, res) => {
     res.status(404).json({ 
@@ -869,8 +1205,57 @@ app.use('*', (req, res) => {
         availableEndpoints: [
             'GET /',
             'GET /status',
+            'GET /metrics',
             'POST /gerar',
-            'POST /validar'
+            'POST /validar',
+            'POST /resetar',
+            'POST /heartbeat',
+            'GET /signing-keys',
+            'GET /getkey',
+            'POST /checkpoint/start',
+            'POST /discord/interactions',
+            'GET /checkpoint/callback',
+            'GET /script/:token',
+            'GET /admin/me',
+            'GET /admin/stats',
+            'GET /admin/audit',
+            'GET /admin/keys',
+            'GET /admin/sessions',
+            'DELETE /admin/sessions/:id',
+            'GET /admin/api-keys',
+            'POST /admin/api-keys',
+            'DELETE /admin/api-keys/:id',
+            'GET /admin/projects',
+            'POST /admin/projects',
+            'GET /admin/projects/:id',
+            'GET /admin/projects/:id/loader',
+            'GET /admin/projects/:id/script',
+            'PUT /admin/projects/:id/script',
+            'DELETE /admin/projects/:id/script',
+            'GET /admin/projects/:id/script/downloads',
+            'PATCH /admin/projects/:id',
+            'DELETE /admin/projects/:id',
+            'POST /admin/discord/commands',
+            'GET /admin/blacklist',
+            'POST /admin/blacklist',
+            'PATCH /admin/blacklist/:id',
+            'DELETE /admin/blacklist/:id',
+            'GET /admin/webhooks',
+            'POST /admin/webhooks',
+            'PATCH /admin/webhooks/:id',
+            'DELETE /admin/webhooks/:id',
+            'POST /admin/webhooks/:id/test',
+            'GET /admin/webhooks/dead-letters',
+            'POST /admin/webhooks/dead-letters/:id/retry',
+            'DELETE /admin/webhooks/dead-letters/:id',
+            'GET /admin/keys/:key',
+            'PATCH /admin/keys/:key',
+            'DELETE /admin/keys/:key',
+            'POST /admin/keys/:key/reset-hwid',
+            'GET /admin/keys/export',
+            'POST /admin/keys/import',
+            'POST /admin/keys/revoke',
+            'POST /admin/keys/premium'
         ]
     });
 });
@@ -886,14 +1271,28 @@ app.use((error, req, res, next) => {
 // Inicialização do servidor
 async function startServer() {
     try {
-        await loadKeys();
+        await initStorage();
+
+        // Desenvolvimento offline: o cliente do Monetizzy aponta para o stub local
+        if (MONETIZZY_STUB) {
+            await startMonetizzyStub();
+        }
         
         // Limpeza automática a cada hora
-        setInterval(cleanExpiredKeys, 60 * 60 * 1000);
+        setInterval(() => {
+            cleanExpiredKeys().catch(error => console.error('Erro ao limpar keys:', error.message));
+            cleanExpiredCheckpoints().catch(error => console.error('Erro ao limpar checkpoints:', error.message));
+            services.rateLimiter.prune().catch(error => console.error('Erro ao limpar rate limit:', error.message));
+            services.blacklist.prune().catch(error => console.error('Erro ao limpar blacklist:', error.message));
+            pruneScriptData(services.downloadTokens, services.scriptDownloads)
+                .catch(error => console.error('Erro ao limpar downloads de script:', error.message));
+            pruneSessions(services.liveSessions)
+                .catch(error => console.error('Erro ao limpar sessões:', error.message));
+        }, 60 * 60 * 1000);
         
         app.listen(PORT, () => {
             console.log(`🚀 Servidor rodando na porta ${PORT}`);
-            console.log(`📊 ${keys.length} keys carregadas`);
+            console.log(`📦 Armazenamento: ${storage.driver}`);
             console.log(`⏰ Limpeza automática de keys ativada`);
         });
         
@@ -906,13 +1305,15 @@ async function startServer() {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n🛑 Encerrando servidor...');
-    await saveKeys();
+    await services.audit.flush();
+    await storage.close();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     console.log('\n🛑 Encerrando servidor...');
-    await saveKeys();
+    await services.audit.flush();
+    await storage.close();
     process.exit(0);
 });
 